@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+// unsure — command line front end for calc-core: one-shot expressions, .unsure worksheets, stdin pipes and a REPL.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const {
+  DEFAULT_SAMPLES,
+  DEFAULT_BINS,
+  DEFAULT_WIDTH,
+  evaluateExpressionWithSteps,
+  evaluateWorksheet,
+  createRandom,
+  getQuantiles,
+  formatNumber,
+  createNumberFormatter,
+  formatProbability,
+  generateTextHistogram,
+} = require("../calc-core");
+
+const HISTORY_SIZE = 500;
+const DEFAULT_HISTORY_FILE = path.join(os.homedir(), ".unsure_history");
+// Figures with their unit; `date` values print as calendar days
+const { format: formatFigure } = createNumberFormatter();
+
+const USAGE = `Usage:
+  unsure [options] "<expression>"   evaluate one expression
+  unsure [options] <file.unsure>    evaluate a worksheet file
+  <command> | unsure [options]      evaluate worksheet lines from stdin
+  unsure [options]                  start an interactive session
+
+Options:
+  -n, --samples <count>   number of simulated samples (default ${DEFAULT_SAMPLES})
+  -b, --bins <count>      histogram bins (default ${DEFAULT_BINS})
+  -w, --width <chars>     histogram bar width (default ${DEFAULT_WIDTH})
+  -r, --rates <file>      currency rates JSON: { "eur": { "usd": 1.08 } } or { "base": "EUR", "rates": { "USD": 1.08 } }
+  -c, --calendar <file>   work calendar JSON for workdays: { "weekend": ["sat", "sun"], "holidays": ["2026-12-25"] }
+  -s, --seed <seed>       seed the simulation for reproducible output
+      --decimal-comma     read numbers with a decimal comma (1.200,5); separate arguments with ", "
+      --no-histogram      skip the text histogram
+  -h, --help              show this help
+
+Interactive commands: .vars, .clear, .help, .exit`;
+
+const REPL_HELP = `Type an expression (7~10 * 17~23) or an assignment (rate = 40~60 usd).
+Variables stay defined for the rest of the session.
+  .vars    list the defined variables
+  .clear   forget all variables
+  .exit    leave (or Ctrl+D)`;
+
+const VALUE_FLAGS = {
+  "-n": "samples",
+  "--samples": "samples",
+  "-b": "bins",
+  "--bins": "bins",
+  "-w": "width",
+  "--width": "width",
+  "-r": "rates",
+  "--rates": "rates",
+  "-c": "calendar",
+  "--calendar": "calendar",
+  "-s": "seed",
+  "--seed": "seed",
+};
+
+function parsePositiveInteger(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${flag} expects a positive integer, got '${value}'`);
+  }
+  return number;
+}
+
+function parseArgs(argv) {
+  const args = {
+    samples: DEFAULT_SAMPLES,
+    bins: DEFAULT_BINS,
+    width: DEFAULT_WIDTH,
+    rates: null,
+    calendar: null,
+    seed: null,
+    decimalComma: false,
+    histogram: true,
+    help: false,
+    positional: [],
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      args.positional.push(...argv.slice(i + 1));
+      break;
+    }
+
+    // `--flag=value` is accepted as well as `--flag value`
+    const [flag, inlineValue] = arg.startsWith("--") && arg.includes("=") ? arg.split(/=(.*)/s, 2) : [arg, undefined];
+    if (flag === "-h" || flag === "--help") {
+      args.help = true;
+    } else if (flag === "--no-histogram") {
+      args.histogram = false;
+    } else if (flag === "--decimal-comma") {
+      args.decimalComma = true;
+    } else if (VALUE_FLAGS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) throw new Error(`${flag} expects a value`);
+      const key = VALUE_FLAGS[flag];
+      if (key === "samples" || key === "bins" || key === "width") args[key] = parsePositiveInteger(value, flag);
+      else args[key] = value;
+    } else if (/^-[a-z-]/i.test(arg)) {
+      // Anything else starting with a letter after '-' is a typo, not a negative number like -3~5
+      throw new Error(`Unknown option '${arg}'`);
+    } else {
+      args.positional.push(arg);
+    }
+  }
+
+  return args;
+}
+
+// Accepts the calc-core rate map or a Frankfurter-style { base, rates } payload.
+function loadRates(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Unable to read rates from '${file}': ${error.message}`);
+  }
+  if (!data || typeof data !== "object") throw new Error(`Rates file '${file}' must contain a JSON object`);
+  if (typeof data.base === "string" && data.rates && typeof data.rates === "object") {
+    return { [data.base]: data.rates };
+  }
+  return data;
+}
+
+function loadCalendar(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Unable to read calendar from '${file}': ${error.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error(`Calendar file '${file}' must contain a JSON object`);
+  return data;
+}
+
+function formatSteps(evaluation) {
+  const lines = [];
+  evaluation.steps.forEach((step, index) => {
+    lines.push(`  ${index}. ${step}`);
+    const terms = (evaluation.stepDetails[index] && evaluation.stepDetails[index].terms) || [];
+    for (const term of terms) {
+      const suffix = term.unit || "";
+      const exact = `${formatFigure(term.min, suffix)} – ${formatFigure(term.max, suffix)}`;
+      const simulated = `${formatFigure(term.p05, suffix)} – ${formatFigure(term.p95, suffix)}`;
+      lines.push(`     ↳ ${term.expression}: exact ${exact}, p05–p95 ${simulated}`);
+    }
+  });
+  return lines;
+}
+
+// Full report for one evaluation, mirroring the result panel of the web app.
+function formatEvaluation(evaluation, settings) {
+  const result = evaluation.result;
+  const lines = [];
+
+  if (result.probability) {
+    lines.push(`Probability: ${formatProbability(result.mean)}`);
+    if (evaluation.steps.length > 1) lines.push("Steps:", ...formatSteps(evaluation));
+    return lines;
+  }
+
+  // Percentages hold fractions; their range and histogram are shown in percent
+  const unitSuffix = result.percent ? "%" : evaluation.isCurrencyExpression && evaluation.unit ? evaluation.unit : "";
+  const samples = result.percent && result.samples ? result.samples.map((value) => value * 100) : result.samples;
+  if (evaluation.isCurrencyExpression || result.percent) {
+    const hasResult = !isNaN(result.mean) || !!result.components;
+    lines.push(hasResult ? `Final Result: ${result.display ?? formatFigure(result.mean, unitSuffix)}` : "Currency Result Contains NaN");
+    if (result.components && !isNaN(result.mean)) lines.push(`Total: ${formatFigure(result.mean, unitSuffix)}`);
+    if (result.dates) lines.push(`Done by: ${result.dates.p50} (P50), ${result.dates.p90} (P90)`);
+  } else if (isNaN(result.mean) || isNaN(result.min) || isNaN(result.max)) {
+    lines.push("Exact Result Contains NaN");
+  } else {
+    lines.push(`Exact Average: ${formatNumber(result.mean)}`);
+    lines.push(`Exact Range : ${formatNumber(result.min)} - ${formatNumber(result.max)}`);
+  }
+
+  if (evaluation.steps.length > 1) lines.push("Steps:", ...formatSteps(evaluation));
+
+  if (!samples) {
+    if (!evaluation.isCurrencyExpression) lines.push("Result is an exact number, no distribution to simulate");
+    return lines;
+  }
+
+  const quantiles = getQuantiles(samples);
+  if (isNaN(quantiles.p05) || isNaN(quantiles.p95)) {
+    lines.push("Simulated Result Contains NaN/Infinity");
+  } else {
+    lines.push(`Simulated Range (5%-95%): ${formatFigure(quantiles.p05, unitSuffix)} ~ ${formatFigure(quantiles.p95, unitSuffix)}`);
+  }
+  if (settings.histogram) {
+    lines.push("", ...generateTextHistogram(samples, { bins: settings.bins, width: settings.width, unit: unitSuffix }));
+  }
+  return lines;
+}
+
+// Value of one worksheet statement with its 5%-95% range, like the worksheet column of the web app.
+function formatWorksheetEntry(entry) {
+  const result = entry.evaluation.result;
+  const suffix = result.percent ? "%" : entry.evaluation.unit || "";
+  if (result.probability) return formatProbability(result.mean);
+  const value = result.display ?? formatNumber(result.mean);
+  if (!result.samples) return value;
+
+  const quantiles = getQuantiles(result.percent ? result.samples.map((sample) => sample * 100) : result.samples);
+  if (isNaN(quantiles.p05) || isNaN(quantiles.p95)) return `${value} (NaN/Infinity in samples)`;
+  return `${value} (${formatFigure(quantiles.p05, suffix)} ~ ${formatFigure(quantiles.p95, suffix)})`;
+}
+
+// Prints every statement of a worksheet, then the full report for the last value.
+// Returns false when any statement failed.
+function printWorksheet(worksheet, settings, output) {
+  let last = null;
+  let ok = true;
+  for (const entry of worksheet.lines) {
+    if (entry.error) {
+      ok = false;
+      output.error(`line ${entry.lineNumber}: ${entry.expression}\n  Error: ${entry.error}`);
+    } else if (entry.evaluation) {
+      const statement = entry.name ? `${entry.name} = ${entry.expression}` : entry.expression;
+      output.log(`${statement}\n  = ${formatWorksheetEntry(entry)}`);
+      last = entry;
+    }
+  }
+  if (last) output.log(["", ...formatEvaluation(last.evaluation, settings)].join("\n"));
+  return ok;
+}
+
+function getEvaluationOptions(args) {
+  const options = { random: createRandom(args.seed) };
+  if (args.rates) options.currencyRates = loadRates(args.rates);
+  if (args.calendar) options.calendar = loadCalendar(args.calendar);
+  if (args.decimalComma) options.decimalSeparator = ",";
+  return options;
+}
+
+function runExpression(expression, args, options, output) {
+  const evaluation = evaluateExpressionWithSteps(expression, args.samples, options);
+  if (!evaluation.result) throw new Error("Expression did not produce a value");
+  output.log(formatEvaluation(evaluation, args).join("\n"));
+}
+
+function readHistory(file) {
+  try {
+    return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).reverse().slice(0, HISTORY_SIZE);
+  } catch {
+    return [];
+  }
+}
+
+function writeHistory(file, history) {
+  try {
+    fs.writeFileSync(file, history.slice(0, HISTORY_SIZE).reverse().join("\n") + "\n");
+  } catch {
+    // History is a convenience; an unwritable home directory should not break the session.
+  }
+}
+
+function runRepl(args, options) {
+  const historyFile = process.env.UNSURE_HISTORY ?? DEFAULT_HISTORY_FILE;
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: "unsure> ",
+    history: historyFile ? readHistory(historyFile) : [],
+    historySize: HISTORY_SIZE,
+  });
+  let variables = {};
+
+  console.log('unsure — type an expression, ".help" for help, ".exit" to quit');
+  rl.prompt();
+
+  rl.on("line", (line) => {
+    const input = line.trim();
+    if (input === ".exit" || input === ".quit") {
+      rl.close();
+      return;
+    }
+    if (input === ".help") {
+      console.log(REPL_HELP);
+    } else if (input === ".clear") {
+      variables = {};
+      console.log("Variables cleared");
+    } else if (input === ".vars") {
+      const names = Object.keys(variables);
+      console.log(names.length > 0 ? names.join(", ") : "No variables defined");
+    } else if (input) {
+      // Each line is a small worksheet sharing the session's variables and random source,
+      // so later lines stay correlated with the variables they reference.
+      const worksheet = evaluateWorksheet(input, args.samples, { ...options, variables });
+      variables = worksheet.variables;
+      for (const entry of worksheet.lines) {
+        if (entry.error) console.error(`Error: ${entry.error}`);
+        else if (entry.evaluation) {
+          const report = formatEvaluation(entry.evaluation, args);
+          if (entry.name) report[0] = `${entry.name} = ${entry.expression}\n${report[0]}`;
+          console.log(report.join("\n"));
+        }
+      }
+    }
+    rl.prompt();
+  });
+
+  rl.on("close", () => {
+    if (historyFile) writeHistory(historyFile, rl.history);
+    process.stdout.write("\n");
+  });
+}
+
+function isWorksheetFile(argument) {
+  if (argument.endsWith(".unsure")) return true;
+  try {
+    return fs.statSync(argument).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function main(argv) {
+  let args;
+  let options;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    options = getEvaluationOptions(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 2;
+  }
+
+  try {
+    if (args.positional.length === 1 && isWorksheetFile(args.positional[0])) {
+      const source = fs.readFileSync(args.positional[0], "utf8");
+      return printWorksheet(evaluateWorksheet(source, args.samples, options), args, console) ? 0 : 1;
+    }
+    if (args.positional.length > 0) {
+      runExpression(args.positional.join(" "), args, options, console);
+      return 0;
+    }
+    if (!process.stdin.isTTY) {
+      const source = fs.readFileSync(0, "utf8");
+      return printWorksheet(evaluateWorksheet(source, args.samples, options), args, console) ? 0 : 1;
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+
+  runRepl(args, options);
+  return null;
+}
+
+if (require.main === module) {
+  const exitCode = main(process.argv.slice(2));
+  if (exitCode !== null) process.exitCode = exitCode;
+}
+
+module.exports = { parseArgs, loadRates, loadCalendar, formatEvaluation, formatWorksheetEntry };
@@ -1,50 +1,327 @@
-export type Token = number | string;
+export type CallToken = { type: "call"; name: string; argCount: number };
+export type Token = number | string | CallToken;
 export type UncertainValue = {
+  // Point estimate: operators and functions applied to the means of their operands, not the sample average
   mean: number;
   min: number;
   max: number;
   samples: number[] | null;
+  probability?: boolean;
+  percent?: boolean;
 };
 
+export type EvaluatedValue = UncertainValue & {
+  kind: "scalar" | "money" | "quantity" | "date";
+  unit: Record<string, number>;
+  currency?: string;
+};
+
+export type MoneyComponent = UncertainValue & { currency: string };
+
 export type CurrencyResult = UncertainValue & {
   currency: string | null;
+  unit: string | null;
   display: string;
+  components?: MoneyComponent[];
+  dates?: { p50: string; p90: string };
+};
+
+export type StepTerm = {
+  expression: string;
+  unit: string | null;
+  min: number;
+  max: number;
+  p05: number;
+  p95: number;
 };
 
+export type StepDetail = { step: string; terms: StepTerm[] };
+
 export type EvaluationWithSteps = {
   isCurrencyExpression: boolean;
   currency: string | null;
+  unit: string | null;
   steps: string[];
-  result: (UncertainValue & { currency?: undefined; display?: undefined }) | CurrencyResult | null;
+  stepDetails: StepDetail[];
+  result: CurrencyResult | null;
+  rateDate?: string;
+};
+
+export type VariableValue =
+  | number
+  | (UncertainValue & {
+      kind?: "scalar" | "money" | "quantity" | "date";
+      currency?: string | null;
+      unit?: string | Record<string, number>;
+      components?: MoneyComponent[];
+    });
+
+export type RateSpec = number | string | [number, number] | { rate: number; volatility: number; years?: number };
+
+export type CurrencyRates = Record<string, Record<string, RateSpec>>;
+
+export type RandomSource = {
+  next: () => number;
+  gaussian: (mean: number, stdDev: number) => number;
+};
+
+export type WorkCalendar = {
+  weekend?: (string | number)[];
+  holidays?: string[];
+};
+
+export type EvaluationOptions = {
+  currencyRates?: CurrencyRates;
+  historicalRates?: Record<string, RateSnapshot>;
+  variables?: Record<string, VariableValue>;
+  seed?: number | string;
+  random?: RandomSource | (() => number);
+  decimalSeparator?: "." | ",";
+  calendar?: WorkCalendar;
+};
+
+export type WorksheetLine = {
+  lineNumber: number;
+  source: string;
+  name: string | null;
+  expression: string;
+  evaluation: EvaluationWithSteps | null;
+  error: string | null;
+};
+
+export type WorksheetResult = {
+  lines: WorksheetLine[];
+  variables: Record<string, VariableValue>;
 };
 
 export type Quantiles = { p05: number; p95: number };
 
-export type HistogramOptions = {
+export type StatisticsOptions = {
+  percentiles?: number[];
+  threshold?: number;
+};
+
+export type SampleStatistics = {
+  count: number;
+  validCount: number;
+  invalidCount: number;
+  mean: number;
+  median: number;
+  stdDev: number;
+  standardError: number;
+  min: number;
+  max: number;
+  percentiles: Record<string, number>;
+  threshold?: number;
+  probabilityAbove?: number;
+};
+
+export type BinningOptions = {
+  method?: "fixed" | "freedman-diaconis" | "sturges";
   bins?: number;
+  range?: [number, number];
+};
+
+export type SensitivityInput = {
+  label: string;
+  min: number;
+  max: number;
+  low: number;
+  high: number;
+  swing: number;
+  rankCorrelation: number;
+};
+
+export type Sensitivity = { baseline: number; inputs: SensitivityInput[] };
+
+export type NumberFormatSettings = {
+  locale?: string;
+  significantDigits?: number;
+  siSuffix?: boolean;
+  roundRanges?: boolean;
+};
+
+export type NumberFormatter = {
+  format: (value: number, unit?: string) => string;
+  formatRange: (min: number, max: number, unit?: string) => string;
+};
+
+export type HistogramOptions = BinningOptions & {
   width?: number;
   barChar?: string;
+  format?: NumberFormatSettings;
+  unit?: string;
+};
+
+export type HistogramBin = { start: number; end: number; count: number; density: number };
+
+export type HistogramData = {
+  bins: HistogramBin[];
+  min: number;
+  max: number;
+  mean: number;
+  count: number;
+  underflow: number;
+  overflow: number;
+  meanBinIndex: number;
+};
+
+export type EncodedNumber = number | "NaN" | "Infinity" | "-Infinity";
+
+export type SerializeOptions = {
+  expression?: string;
+  includeSamples?: boolean;
+  percentiles?: number[];
+};
+
+export type SerializedStepTerm = Omit<StepTerm, "min" | "max" | "p05" | "p95"> & {
+  min: EncodedNumber;
+  max: EncodedNumber;
+  p05: EncodedNumber;
+  p95: EncodedNumber;
+};
+
+export type SerializedStatistics = {
+  count: EncodedNumber;
+  validCount: EncodedNumber;
+  invalidCount: EncodedNumber;
+  mean: EncodedNumber;
+  median: EncodedNumber;
+  stdDev: EncodedNumber;
+  standardError: EncodedNumber;
+  min: EncodedNumber;
+  max: EncodedNumber;
+  percentiles: Record<string, EncodedNumber>;
+};
+
+export type SerializedEvaluation = {
+  expression: string | null;
+  currency: string | null;
+  unit: string | null;
+  probability: boolean;
+  percent?: boolean;
+  dates?: { p50: string; p90: string };
+  display: string | null;
+  exact: { mean: EncodedNumber; min: EncodedNumber; max: EncodedNumber };
+  statistics: SerializedStatistics | null;
+  steps: { step: string; terms: SerializedStepTerm[] }[];
+  components?: { currency: string; mean: EncodedNumber; min: EncodedNumber; max: EncodedNumber }[];
+  samples?: EncodedNumber[];
+};
+
+export type ParsedEvaluation = Omit<SerializedEvaluation, "exact" | "statistics" | "steps" | "components" | "samples"> & {
+  exact: { mean: number; min: number; max: number };
+  components?: { currency: string; mean: number; min: number; max: number }[];
+  statistics: SampleStatistics | null;
+  steps: StepDetail[];
+  samples?: number[];
+};
+
+export type RateSnapshot = {
+  source: string;
+  base: string;
+  rates: Record<string, number>;
+  rateDate: string;
+  day?: string;
+  cached?: boolean;
+  error?: string;
+  errors?: string[];
+};
+
+export type CurrencyInfo = { code: string; name: string; decimals: number };
+
+export type RateLoadOptions = { forceRefresh?: boolean; date?: string };
+
+export type RateProvider = {
+  name: string;
+  load: (options?: RateLoadOptions) => Promise<RateSnapshot>;
+};
+
+export type FetchLike = (url: string, init?: { cache?: string }) => Promise<{
+  ok: boolean;
+  status: number;
+  json: () => Promise<unknown>;
+}>;
+
+export type FrankfurterOptions = {
+  base?: string;
+  symbols?: string[];
+  endpoints?: string[];
+  fetch?: FetchLike;
+  name?: string;
+};
+
+export type RateStorage = {
+  getItem: (key: string) => string | null;
+  setItem: (key: string, value: string) => void;
+};
+
+export type ManualRateProvider = RateProvider & {
+  base: string;
+  setRate: (code: string, rate: number) => void;
+  removeRate: (code: string) => void;
+  getRates: () => Record<string, number>;
 };
 
 export const DEFAULT_SAMPLES: number;
 export const DEFAULT_BINS: number;
 export const DEFAULT_WIDTH: number;
 export const DEFAULT_BAR: string;
+export const DEFAULT_PERCENTILES: number[];
 
-export function tokenize(s: string): Token[];
+export function tokenize(s: string, options?: { decimalSeparator?: "." | "," }): Token[];
 export function shuntingYard(tokens: Token[]): Token[];
-export function evalRpn(rpnQueue: Token[], sampleCount?: number): UncertainValue | null;
-export function evaluateExpression(expression: string, sampleCount?: number): UncertainValue | null;
+export function evalRpn(rpnQueue: Token[], sampleCount?: number, options?: EvaluationOptions): EvaluatedValue | null;
+export function evaluateExpression(
+  expression: string,
+  sampleCount?: number,
+  options?: EvaluationOptions,
+): EvaluatedValue | null;
 export function evaluateCurrencyExpressionWithSteps(
   expression: string,
-  sampleCountOrOptions?: number | { currencyRates?: Record<string, Record<string, number>> },
-  options?: { currencyRates?: Record<string, Record<string, number>> },
+  sampleCountOrOptions?: number | EvaluationOptions,
+  options?: EvaluationOptions,
 ): EvaluationWithSteps | null;
 export function evaluateExpressionWithSteps(
   expression: string,
   sampleCount?: number,
-  options?: { currencyRates?: Record<string, Record<string, number>> },
+  options?: EvaluationOptions,
 ): EvaluationWithSteps;
+export function evaluateWorksheet(
+  source: string | string[],
+  sampleCount?: number,
+  options?: EvaluationOptions,
+): WorksheetResult;
+export function createRandom(seedOrGenerator?: number | string | (() => number) | null): RandomSource;
 export function getQuantiles(samples: number[] | null): Quantiles;
+export function getSampleStatistics(samples: number[] | null, options?: StatisticsOptions): SampleStatistics;
+export function getSensitivity(value: UncertainValue | null): Sensitivity;
 export function formatNumber(num: number, padWidth?: number): string;
+export function createNumberFormatter(settings?: NumberFormatSettings): NumberFormatter;
+export function formatProbability(probability: number): string;
+export function getHistogramBins(samples: number[] | null, options?: BinningOptions): HistogramData;
 export function generateTextHistogram(samples: number[] | null, options?: HistogramOptions): string[];
+export function serializeEvaluation(evaluation: EvaluationWithSteps, options?: SerializeOptions): SerializedEvaluation;
+export function evaluationToJson(evaluation: EvaluationWithSteps, options?: SerializeOptions): string;
+export function evaluationToCsv(evaluation: EvaluationWithSteps, options?: SerializeOptions): string;
+export function parseEvaluationJson(json: string | SerializedEvaluation): ParsedEvaluation;
+export function createFrankfurterRateProvider(options?: FrankfurterOptions): RateProvider;
+export function createStaticRateProvider(
+  source: string | { base: string; rates: Record<string, number>; date?: string } | CurrencyRates,
+  options?: { name?: string; fetch?: FetchLike },
+): RateProvider;
+export function createManualRateProvider(
+  base: string,
+  rates?: Record<string, number>,
+  options?: { name?: string },
+): ManualRateProvider;
+export function createCachedRateProvider(
+  provider: RateProvider,
+  options?: { storage?: RateStorage | null; key?: string; today?: () => string; name?: string },
+): RateProvider;
+export function createRateProviderChain(providers: RateProvider[], options?: { name?: string }): RateProvider;
+export function rebaseRateSnapshot(snapshot: RateSnapshot, base: string): RateSnapshot;
+export function toCurrencyRates(snapshot: RateSnapshot): CurrencyRates;
+export function getRateDates(source: string): string[];
+export function getRateVolatility(history: number[], options?: { periodsPerYear?: number }): number;
+export function getCurrencyInfo(name: string): CurrencyInfo | null;
@@ -1,5 +1,5 @@
 // Shared probabilistic calculator core logic (browser, Raycast, and tests)
-// Exposes tokenize, shuntingYard, evalRpn, evaluateExpression, getQuantiles, formatNumber, generateTextHistogram
+// Exposes tokenize, shuntingYard, evalRpn, evaluateExpression, evaluateWorksheet, createRandom, getQuantiles, getSampleStatistics, getSensitivity, formatNumber, createNumberFormatter, formatProbability, getHistogramBins, generateTextHistogram, serializeEvaluation, evaluationToJson, evaluationToCsv, parseEvaluationJson, FX rate providers (createFrankfurterRateProvider, createStaticRateProvider, createManualRateProvider, createCachedRateProvider, createRateProviderChain), rebaseRateSnapshot, toCurrencyRates, getRateDates, getRateVolatility, getCurrencyInfo
 
 const DEFAULT_SAMPLES = 10000;
 const DEFAULT_BINS = 20;
@@ -11,81 +11,302 @@ const DEFAULT_CURRENCY_RATES = {
   pln: { eur: 1 / 4.22 },
 };
 
-let spareRandom = null;
-
-// Gaussian (normal) RNG using the Box-Muller transform; returns N(mean, stdDev)
-function gaussianRandom(mean, stdDev) {
-  let u, v, s;
-  if (spareRandom !== null) {
-    const temp = spareRandom;
-    spareRandom = null;
-    return mean + stdDev * temp;
+// --- Random sources ---
+// Hash any seed (number or string) to a 32-bit state; `42` and `"42"` give the same stream
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
   }
-  do {
-    u = Math.random() * 2 - 1;
-    v = Math.random() * 2 - 1;
-    s = u * u + v * v;
-  } while (s >= 1 || s === 0);
-  const mul = Math.sqrt((-2.0 * Math.log(s)) / s);
-  spareRandom = v * mul;
-  return mean + stdDev * (u * mul);
+  return hash >>> 0;
+}
+
+// Mulberry32: small, fast PRNG with a 32-bit state; returns uniform draws in [0, 1)
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A random source: `next()` draws from [0, 1) and `gaussian(mean, stdDev)` from N(mean, stdDev) via the
+// Box-Muller transform. Each source keeps its own spare draw, so evaluations never share state.
+// Pass a seed for a reproducible stream, a `() => number` generator to plug in another PRNG, or
+// nothing to use Math.random.
+function createRandom(seedOrGenerator = null) {
+  let next = Math.random;
+  if (typeof seedOrGenerator === "function") next = seedOrGenerator;
+  else if (seedOrGenerator !== null && seedOrGenerator !== undefined) next = mulberry32(hashSeed(seedOrGenerator));
+
+  let spare = null;
+  const gaussian = (mean, stdDev) => {
+    if (spare !== null) {
+      const temp = spare;
+      spare = null;
+      return mean + stdDev * temp;
+    }
+    let u, v, s;
+    do {
+      u = next() * 2 - 1;
+      v = next() * 2 - 1;
+      s = u * u + v * v;
+    } while (s >= 1 || s === 0);
+    const mul = Math.sqrt((-2.0 * Math.log(s)) / s);
+    spare = v * mul;
+    return mean + stdDev * (u * mul);
+  };
+  return { next, gaussian };
+}
+
+// The random source for one evaluation: an existing source in `options.random` is shared (worksheets
+// use this so lines draw from one stream), otherwise a new one from `options.random` (a generator)
+// or `options.seed`.
+function resolveRandom(options = {}) {
+  const { random, seed } = options || {};
+  if (random && typeof random === "object" && typeof random.next === "function") return random;
+  return createRandom(typeof random === "function" ? random : seed);
 }
 
 // Generate draws from N(mean, stdDev); fast path for zero-width ranges
-function generateSamples(mean, stdDev, sampleCount) {
+function generateSamples(mean, stdDev, sampleCount, random) {
   if (!sampleCount || sampleCount <= 0) return [];
   if (stdDev === 0) {
     return Array(sampleCount).fill(mean);
   }
   const samples = [];
   for (let i = 0; i < sampleCount; i++) {
-    samples.push(gaussianRandom(mean, stdDev));
+    samples.push(random.gaussian(mean, stdDev));
   }
   return samples;
 }
 
-// --- Tokenizer ---
-// Tokenize an expression string into numbers/operators; minus stays separate for unary detection
-function tokenize(s) {
-  const tokens = [];
-  const NUMBER_REGEX = /^[0-9]+(\.[0-9]+)?/;
-  const OPERATOR_REGEX = /^[+\-*^/~()]/;
-  const WHITESPACE_REGEX = /^\s+/;
-  let remaining = s.trim();
-  const originalString = s;
-  while (remaining.length > 0) {
-    let match;
-    match = remaining.match(WHITESPACE_REGEX);
-    if (match) {
-      remaining = remaining.substring(match[0].length);
-      continue;
-    }
-    match = remaining.match(NUMBER_REGEX);
-    if (match) {
-      tokens.push(parseFloat(match[0]));
-      remaining = remaining.substring(match[0].length);
-      continue;
-    }
-    match = remaining.match(OPERATOR_REGEX);
-    if (match) {
-      tokens.push(match[0]);
-      remaining = remaining.substring(match[0].length);
-      continue;
+// --- Distributions ---
+// z-score spread of a 90% interval; `a~b` and the named 90% ranges use it to derive stdDev
+const NORMAL_90_SPREAD = 3.28970725;
+
+// Gamma(shape, 1) draws via Marsaglia-Tsang; shapes below 1 use the boost trick
+function gammaRandom(shape, random) {
+  if (shape < 1) {
+    return gammaRandom(shape + 1, random) * Math.pow(random.next(), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  while (true) {
+    let x, v;
+    do {
+      x = random.gaussian(0, 1);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random.next();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function betaRandom(alpha, beta, random) {
+  const x = gammaRandom(alpha, random);
+  const y = gammaRandom(beta, random);
+  return x / (x + y);
+}
+
+// Poisson draws: Knuth multiplication for small rates, rounded normal approximation for large ones
+function poissonRandom(lambda, random) {
+  if (lambda === 0) return 0;
+  if (lambda > 30) {
+    return Math.max(0, Math.round(random.gaussian(lambda, Math.sqrt(lambda))));
+  }
+  const limit = Math.exp(-lambda);
+  let k = 0;
+  let p = 1;
+  do {
+    k++;
+    p *= random.next();
+  } while (p > limit);
+  return k - 1;
+}
+
+// Smallest k with P(X <= k) >= probability for Poisson(lambda)
+function poissonQuantile(lambda, probability) {
+  if (lambda === 0) return 0;
+  let k = 0;
+  let term = Math.exp(-lambda);
+  let cumulative = term;
+  // For very large rates exp(-lambda) underflows; fall back to the normal approximation.
+  if (term === 0) {
+    const z = probability < 0.5 ? -NORMAL_90_SPREAD / 2 : NORMAL_90_SPREAD / 2;
+    return Math.max(0, Math.round(lambda + z * Math.sqrt(lambda)));
+  }
+  while (cumulative < probability) {
+    k++;
+    term *= lambda / k;
+    cumulative += term;
+  }
+  return k;
+}
+
+function requireFiniteArgs(name, args) {
+  for (const arg of args) {
+    if (typeof arg !== "number" || !isFinite(arg)) {
+      throw new Error(`Arguments for '${name}' must be finite numbers`);
     }
+  }
+}
+
+// Named distributions usable wherever a range is accepted. Each `create` returns the point
+// estimate (mean), exact bounds and a single-draw sampler that draws from `random`. Bounded distributions report their
+// support as bounds; unbounded ones (lognormal, poisson) report the 90% interval, like `a~b`.
+const DISTRIBUTIONS = {
+  lognormal: {
+    params: ["low", "high"],
+    create(random, [low, high]) {
+      if (low <= 0 || high <= 0) throw new Error("lognormal(low, high) requires positive bounds");
+      const logLow = Math.log(low);
+      const logHigh = Math.log(high);
+      const mu = (logLow + logHigh) / 2;
+      const sigma = Math.abs(logHigh - logLow) / NORMAL_90_SPREAD;
+      return {
+        mean: Math.exp(mu + (sigma * sigma) / 2),
+        min: Math.min(low, high),
+        max: Math.max(low, high),
+        sample: () => Math.exp(random.gaussian(mu, sigma)),
+      };
+    },
+  },
+  uniform: {
+    params: ["min", "max"],
+    create(random, [a, b]) {
+      const min = Math.min(a, b);
+      const max = Math.max(a, b);
+      return { mean: (min + max) / 2, min, max, sample: () => min + (max - min) * random.next() };
+    },
+  },
+  triangular: {
+    params: ["min", "mode", "max"],
+    create(random, [min, mode, max]) {
+      if (!(min <= mode && mode <= max)) throw new Error("triangular(min, mode, max) requires min <= mode <= max");
+      const width = max - min;
+      const split = width === 0 ? 0 : (mode - min) / width;
+      return {
+        mean: (min + mode + max) / 3,
+        min,
+        max,
+        sample: () => {
+          const u = random.next();
+          if (u < split) return min + Math.sqrt(u * width * (mode - min));
+          return max - Math.sqrt((1 - u) * width * (max - mode));
+        },
+      };
+    },
+  },
+  pert: {
+    params: ["min", "mode", "max"],
+    create(random, [min, mode, max]) {
+      if (!(min <= mode && mode <= max)) throw new Error("pert(min, mode, max) requires min <= mode <= max");
+      const width = max - min;
+      const alpha = width === 0 ? 1 : 1 + (4 * (mode - min)) / width;
+      const beta = width === 0 ? 1 : 1 + (4 * (max - mode)) / width;
+      return {
+        mean: (min + 4 * mode + max) / 6,
+        min,
+        max,
+        sample: () => min + width * betaRandom(alpha, beta, random),
+      };
+    },
+  },
+  beta: {
+    params: ["alpha", "beta"],
+    create(random, [alpha, beta]) {
+      if (alpha <= 0 || beta <= 0) throw new Error("beta(alpha, beta) requires positive shape parameters");
+      return { mean: alpha / (alpha + beta), min: 0, max: 1, sample: () => betaRandom(alpha, beta, random) };
+    },
+  },
+  poisson: {
+    params: ["rate"],
+    create(random, [lambda]) {
+      if (lambda < 0) throw new Error("poisson(rate) requires a non-negative rate");
+      return {
+        mean: lambda,
+        min: poissonQuantile(lambda, 0.05),
+        max: poissonQuantile(lambda, 0.95),
+        sample: () => poissonRandom(lambda, random),
+      };
+    },
+  },
+};
+
+function isDistributionName(name) {
+  return typeof name === "string" && Object.prototype.hasOwnProperty.call(DISTRIBUTIONS, name.toLowerCase());
+}
+
+// Build an UncertainValue (mean/min/max/samples) for a named distribution with exact arguments
+function createDistributionValue(name, args, sampleCount, random) {
+  const key = name.toLowerCase();
+  const distribution = DISTRIBUTIONS[key];
+  if (!distribution) throw new Error(`Unknown distribution '${name}'`);
+  if (args.length !== distribution.params.length) {
     throw new Error(
-      `Syntax Error: Cannot parse near '${remaining.substring(0, 10)}...' in expression '${originalString}'`,
+      `Distribution '${key}' expects ${distribution.params.length} argument(s) (${distribution.params.join(", ")}), got ${args.length}`,
     );
   }
+  requireFiniteArgs(key, args);
+  const { mean, min, max, sample } = distribution.create(random, args);
+  const samples = sampleCount > 0 ? Array.from({ length: sampleCount }, () => sample()) : [];
+  return { mean, min, max, samples };
+}
+
+// --- Tokenizer ---
+// Legacy flat tokens (numbers, operators, lowercased identifiers) for the RPN compatibility layer, read with the
+// same lexer as the AST pipeline; a quantity such as `5km` becomes [5, "km"] and minus stays separate for unary detection
+function tokenize(s, options = {}) {
+  const tokens = [];
+  for (const token of lexExpression(String(s), options)) {
+    if (token.type === "quantity") tokens.push(token.value, token.unit);
+    else if (token.type === "to" || token.type === "on") tokens.push(token.type);
+    else tokens.push(token.value);
+  }
   return tokens;
 }
 
-// Convert tokens to Reverse Polish Notation (handles unary minus via synthetic NEG token)
+// Identifiers (function names) are lowercased words that start with a letter or underscore
+function isIdentifierToken(token) {
+  return typeof token === "string" && /^[a-z_][a-z0-9_]*$/i.test(token);
+}
+
+// Convert tokens to Reverse Polish Notation (handles unary minus via synthetic NEG token).
+// Function calls such as uniform(1, 5) are emitted as { type: "call", name, argCount } after their arguments;
+// other identifiers are variable references and pass through as operands. A postfix `%` applies to the
+// operand just emitted, and `as % of` binds loosest.
 function shuntingYard(tokens) {
   let prevToken = null;
   const outputQueue = [];
   const operatorStack = [];
-  const precedence = { "+": 1, "-": 1, "*": 2, "/": 2, "^": 3, "~": 4, NEG: 5 };
+  const precedence = {
+    "as % of": 0.5,
+    ">": 1,
+    "<": 1,
+    ">=": 1,
+    "<=": 1,
+    "+": 2,
+    "-": 2,
+    "*": 3,
+    "/": 3,
+    "^": 4,
+    "~": 5,
+    NEG: 6,
+  };
   const associativity = {
+    "as % of": "L",
+    ">": "L",
+    "<": "L",
+    ">=": "L",
+    "<=": "L",
     "+": "L",
     "-": "L",
     "*": "L",
@@ -94,12 +315,14 @@ function shuntingYard(tokens) {
     "~": "R",
     NEG: "R",
   };
-  for (const token of tokens) {
+  const isCallMarker = (entry) => !!entry && typeof entry === "object" && entry.type === "call";
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
     if (token === '-') {
       if (
         prevToken == null ||
         prevToken === '(' ||
-        (typeof prevToken !== 'number' && prevToken !== ')')
+        (typeof prevToken !== 'number' && prevToken !== ')' && prevToken !== '%' && !isIdentifierToken(prevToken))
       ) {
         operatorStack.push('NEG');
         prevToken = token;
@@ -109,9 +332,31 @@ function shuntingYard(tokens) {
     if (typeof token === "number") {
       outputQueue.push(token);
       prevToken = token;
+    } else if (token === "%") {
+      outputQueue.push(token);
+      prevToken = token;
+    } else if (isIdentifierToken(token)) {
+      if (tokens[i + 1] !== "(") {
+        outputQueue.push(token);
+        prevToken = token;
+        continue;
+      }
+      if (!isFunctionName(token)) throw new Error(`Unknown function '${token}'`);
+      operatorStack.push({ type: "call", name: token, argCount: tokens[i + 2] === ")" ? 0 : 1 });
+      prevToken = token;
     } else if (token === "(") {
       operatorStack.push(token);
       prevToken = token;
+    } else if (token === ",") {
+      while (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] !== "(") {
+        outputQueue.push(operatorStack.pop());
+      }
+      const call = operatorStack[operatorStack.length - 2];
+      if (operatorStack.length === 0 || !isCallMarker(call)) {
+        throw new Error("Unexpected ',' outside of a function call");
+      }
+      call.argCount++;
+      prevToken = token;
     } else if (token === ")") {
       while (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] !== "(") {
         outputQueue.push(operatorStack.pop());
@@ -119,6 +364,10 @@ function shuntingYard(tokens) {
       if (operatorStack.length === 0)
         throw new Error("Mismatched parentheses: Found ')' without matching '('");
       operatorStack.pop();
+      if (isCallMarker(operatorStack[operatorStack.length - 1])) {
+        outputQueue.push(operatorStack.pop());
+      }
+      prevToken = token;
     } else if (precedence[token]) {
       const op1 = token;
       while (
@@ -143,6 +392,24 @@ function shuntingYard(tokens) {
   return outputQueue;
 }
 
+// Apply a binary arithmetic operator to two plain numbers (division by zero yields NaN)
+function applyBinaryOperation(operation, a, b) {
+  switch (operation) {
+    case "+":
+      return a + b;
+    case "-":
+      return a - b;
+    case "*":
+      return a * b;
+    case "/":
+      return b === 0 ? NaN : a / b;
+    case "^":
+      return Math.pow(a, b);
+    default:
+      throw new Error(`Unknown sample operation: ${operation}`);
+  }
+}
+
 // Helper for operating on sample arrays
 function operateSamples(samplesA, samplesB, operation, sampleCount) {
   const aIsArray = Array.isArray(samplesA);
@@ -155,164 +422,520 @@ function operateSamples(samplesA, samplesB, operation, sampleCount) {
   for (let i = 0; i < N; i++) {
     const a = aIsArray ? samplesA[i] : samplesA;
     const b = bIsArray ? samplesB[i] : samplesB;
-
-    switch (operation) {
-      case "+":
-        resultSamples[i] = a + b;
-        break;
-      case "-":
-        resultSamples[i] = a - b;
-        break;
-      case "*":
-        resultSamples[i] = a * b;
-        break;
-      case "/":
-        resultSamples[i] = b === 0 ? NaN : a / b;
-        break;
-      case "^":
-        resultSamples[i] = Math.pow(a, b);
-        break;
-      default:
-        throw new Error(`Unknown sample operation: ${operation}`);
-    }
+    resultSamples[i] = applyBinaryOperation(operation, a, b);
   }
   return resultSamples;
 }
 
-// Evaluate RPN queue into an UncertainValue (mean/min/max/samples), handling NEG and '~'
-function evalRpn(rpnQueue, sampleCount = DEFAULT_SAMPLES) {
-  const stack = [];
+// --- Dependency tracking ---
+// Every uncertain leaf (a range or a named distribution) gets an identity. Derived values carry
+// `inputs` (leaf id -> {min, max, mean, samples, label}) and `evaluateAt(point)`, which recomputes the value for one
+// assignment of leaf values. When both operands of an operator depend on the same leaf, the bounds
+// come from scanning those inputs instead of naive interval arithmetic, so `x - x` stays [0, 0].
+// Leaf ids are counted per random source, i.e. per expression or worksheet, so they never depend on what was
+// evaluated before.
+const inputIdCounters = new WeakMap();
+const MAX_DEPENDENT_GRID_EVALUATIONS = 4096;
+
+// Kept non-enumerable so results stay plain data for callers that copy or serialize them
+function attachDependencies(value, inputs, evaluateAt) {
+  Object.defineProperty(value, "inputs", { value: inputs, writable: true, configurable: true });
+  Object.defineProperty(value, "evaluateAt", { value: evaluateAt, writable: true, configurable: true });
+  return value;
+}
 
-  const createNumberValue = (num) => ({
-    mean: num,
-    min: num,
-    max: num,
-    samples: null,
+function getValueInputs(value) {
+  return value.inputs || {};
+}
+
+function evaluateValueAt(value, point) {
+  return value.evaluateAt ? value.evaluateAt(point) : value.mean;
+}
+
+// Register a fresh uncertain leaf; its exact bounds are the scan range for dependent bounds, and its
+// mean, samples and label (the source text) feed the sensitivity report
+function createInputLeaf(value, label, random) {
+  const id = getNextInputId(random);
+  const input = { min: value.min, max: value.max, mean: value.mean, samples: value.samples ?? null, label };
+  return attachDependencies(value, { [id]: input }, (point) => point[id]);
+}
+
+function getNextInputId(random) {
+  const count = (inputIdCounters.get(random) || 0) + 1;
+  inputIdCounters.set(random, count);
+  return `i${count}`;
+}
+
+// Exact numbers have no inputs and evaluate to themselves
+function createExactDependencies(value) {
+  return attachDependencies(value, {}, () => value.mean);
+}
+
+function mergeValueInputs(left, right) {
+  const leftInputs = getValueInputs(left);
+  const rightInputs = getValueInputs(right);
+  const shared = Object.keys(leftInputs).some((id) => id in rightInputs);
+  return { inputs: { ...leftInputs, ...rightInputs }, shared };
+}
+
+// Bounds of evaluateAt over the box spanned by `inputs`. Scans a grid (corners plus interior points
+// while the budget allows), which is exact for expressions monotone in each input and a close inner
+// estimate otherwise. Returns null when there are too many inputs to scan.
+function getDependentBounds(evaluateAt, inputs) {
+  const ids = Object.keys(inputs);
+  let pointsPerInput = 9;
+  while (pointsPerInput > 2 && Math.pow(pointsPerInput, ids.length) > MAX_DEPENDENT_GRID_EVALUATIONS) {
+    pointsPerInput--;
+  }
+  if (Math.pow(pointsPerInput, ids.length) > MAX_DEPENDENT_GRID_EVALUATIONS) return null;
+
+  const axes = ids.map((id) => {
+    const { min, max } = inputs[id];
+    if (min === max) return [min];
+    const axis = Array.from({ length: pointsPerInput }, (_, k) => min + ((max - min) * k) / (pointsPerInput - 1));
+    // Zero is where products, powers and quotients usually turn, so always probe it.
+    if (min < 0 && max > 0) axis.push(0);
+    return axis;
   });
 
-  for (const token of rpnQueue) {
-    if (token === 'NEG') {
-      if (stack.length < 1) throw new Error("Not enough operands for unary minus");
-      const a = stack.pop();
-      const nmin = Math.min(-a.max, -a.min);
-      const nmax = Math.max(-a.max, -a.min);
-      stack.push({
-        mean: -a.mean,
-        min: nmin,
-        max: nmax,
-        samples: a.samples ? a.samples.map(x => -x) : null,
-      });
-      continue;
+  let min = Infinity;
+  let max = -Infinity;
+  const cursor = Array(ids.length).fill(0);
+  while (true) {
+    const point = {};
+    ids.forEach((id, axis) => {
+      point[id] = axes[axis][cursor[axis]];
+    });
+    const value = evaluateAt(point);
+    if (!isNaN(value)) {
+      if (value < min) min = value;
+      if (value > max) max = value;
     }
 
-    if (typeof token === "number") {
-      stack.push(createNumberValue(token));
-    } else if (token === "~") {
-      if (stack.length < 2) throw new Error("Not enough operands for '~'");
-      const uvB = stack.pop();
-      const uvA = stack.pop();
+    let axis = 0;
+    while (axis < ids.length && ++cursor[axis] >= axes[axis].length) {
+      cursor[axis] = 0;
+      axis++;
+    }
+    if (axis === ids.length) break;
+  }
+
+  if (min > max) return { min: NaN, max: NaN };
+  return { min, max };
+}
+
+// --- Math functions ---
+// Interval helpers: each `bounds` maps the argument intervals ({min, max}) to the exact result interval.
+function monotoneBounds(fn) {
+  return ([x]) => {
+    const a = fn(x.min);
+    const b = fn(x.max);
+    return { min: Math.min(a, b), max: Math.max(a, b) };
+  };
+}
+
+// Restrict a monotone function to the part of the interval inside its domain [domainMin, Infinity)
+function domainMonotoneBounds(fn, domainMin, inclusive) {
+  const bounds = monotoneBounds(fn);
+  return ([x]) => {
+    if (x.max < domainMin || (!inclusive && x.max === domainMin)) return { min: NaN, max: NaN };
+    return bounds([{ min: Math.max(x.min, domainMin), max: x.max }]);
+  };
+}
 
+// True when offset + k * period lies inside [min, max] for some integer k
+function intervalContainsPeriodicPoint(min, max, offset, period) {
+  return Math.ceil((min - offset) / period) * period + offset <= max;
+}
+
+// cos peaks at 2k*pi and bottoms out at (2k+1)*pi; sin is cos shifted by pi/2
+function trigBounds(fn, peakOffset) {
+  return ([x]) => {
+    if (!isFinite(x.min) || !isFinite(x.max) || x.max - x.min >= 2 * Math.PI) return { min: -1, max: 1 };
+    const ends = [fn(x.min), fn(x.max)];
+    return {
+      min: intervalContainsPeriodicPoint(x.min, x.max, peakOffset + Math.PI, 2 * Math.PI) ? -1 : Math.min(...ends),
+      max: intervalContainsPeriodicPoint(x.min, x.max, peakOffset, 2 * Math.PI) ? 1 : Math.max(...ends),
+    };
+  };
+}
+
+function roundTo(value, digits = 0) {
+  const factor = Math.pow(10, digits);
+  return Math.round((value + Math.sign(value) * Number.EPSILON) * factor) / factor;
+}
+
+// Built-in functions callable on uncertain values. `arity` is [min, max] argument count, `apply`
+// works on plain numbers (one sample at a time), and `preservesUnit` marks functions that keep
+// a currency amount's currency (abs, rounding, min/max, clamp).
+const MATH_FUNCTIONS = {
+  sqrt: { arity: [1, 1], apply: Math.sqrt, bounds: domainMonotoneBounds(Math.sqrt, 0, true) },
+  exp: { arity: [1, 1], apply: Math.exp, bounds: monotoneBounds(Math.exp) },
+  ln: { arity: [1, 1], apply: Math.log, bounds: domainMonotoneBounds(Math.log, 0, false) },
+  log: { arity: [1, 1], apply: Math.log, bounds: domainMonotoneBounds(Math.log, 0, false) },
+  log10: { arity: [1, 1], apply: Math.log10, bounds: domainMonotoneBounds(Math.log10, 0, false) },
+  log2: { arity: [1, 1], apply: Math.log2, bounds: domainMonotoneBounds(Math.log2, 0, false) },
+  abs: {
+    arity: [1, 1],
+    preservesUnit: true,
+    apply: Math.abs,
+    bounds: ([x]) => {
+      if (x.min >= 0) return { min: x.min, max: x.max };
+      if (x.max <= 0) return { min: -x.max, max: -x.min };
+      return { min: 0, max: Math.max(-x.min, x.max) };
+    },
+  },
+  round: {
+    arity: [1, 2],
+    preservesUnit: true,
+    exactArgs: [1],
+    apply: (x, digits = 0) => roundTo(x, digits),
+    bounds: ([x, digits]) => ({ min: roundTo(x.min, digits ? digits.min : 0), max: roundTo(x.max, digits ? digits.min : 0) }),
+  },
+  floor: { arity: [1, 1], preservesUnit: true, apply: Math.floor, bounds: monotoneBounds(Math.floor) },
+  ceil: { arity: [1, 1], preservesUnit: true, apply: Math.ceil, bounds: monotoneBounds(Math.ceil) },
+  sin: { arity: [1, 1], apply: Math.sin, bounds: trigBounds(Math.sin, Math.PI / 2) },
+  cos: { arity: [1, 1], apply: Math.cos, bounds: trigBounds(Math.cos, 0) },
+  tan: {
+    arity: [1, 1],
+    apply: Math.tan,
+    bounds: ([x]) => {
       if (
-        uvA.samples !== null ||
-        uvB.samples !== null ||
-        typeof uvA.mean !== "number" ||
-        typeof uvB.mean !== "number"
+        !isFinite(x.min) ||
+        !isFinite(x.max) ||
+        x.max - x.min >= Math.PI ||
+        intervalContainsPeriodicPoint(x.min, x.max, Math.PI / 2, Math.PI)
       ) {
-        throw new Error("Operands for '~' must be exact numbers (e.g., 100~200, not (5~10)~200)");
+        return { min: -Infinity, max: Infinity };
       }
-      const a = uvA.mean;
-      const b = uvB.mean;
-
-      const mean = (a + b) / 2.0;
-      const stdDev = Math.abs(b - a) / 3.28970725;
-      const samples = generateSamples(mean, stdDev, sampleCount);
-
-      stack.push({
-        mean: mean,
-        min: Math.min(a, b),
-        max: Math.max(a, b),
-        samples: samples,
-      });
-    } else if ("+-*/^".includes(token)) {
-      if (stack.length < 2) throw new Error(`Not enough operands for '${token}'`);
-      const uvB = stack.pop();
-      const uvA = stack.pop();
-
-      let newMean, newMin, newMax;
-
-      switch (token) {
-        case "+":
-          newMean = uvA.mean + uvB.mean;
-          break;
-        case "-":
-          newMean = uvA.mean - uvB.mean;
-          break;
-        case "*":
-          newMean = uvA.mean * uvB.mean;
-          break;
-        case "/":
-          newMean = uvB.mean === 0 ? NaN : uvA.mean / uvB.mean;
-          break;
-        case "^":
-          newMean = Math.pow(uvA.mean, uvB.mean);
-          break;
+      return { min: Math.tan(x.min), max: Math.tan(x.max) };
+    },
+  },
+  min: {
+    arity: [1, Infinity],
+    preservesUnit: true,
+    apply: Math.min,
+    bounds: (args) => ({ min: Math.min(...args.map((a) => a.min)), max: Math.min(...args.map((a) => a.max)) }),
+  },
+  max: {
+    arity: [1, Infinity],
+    preservesUnit: true,
+    apply: Math.max,
+    bounds: (args) => ({ min: Math.max(...args.map((a) => a.min)), max: Math.max(...args.map((a) => a.max)) }),
+  },
+  clamp: {
+    arity: [3, 3],
+    preservesUnit: true,
+    apply: (x, lo, hi) => Math.min(Math.max(x, lo), hi),
+    // clamp is non-decreasing in every argument, so the corners give the bounds.
+    bounds: ([x, lo, hi]) => ({
+      min: Math.min(Math.max(x.min, lo.min), hi.min),
+      max: Math.min(Math.max(x.max, lo.max), hi.max),
+    }),
+  },
+};
+
+// Named constants resolved like variables (user variables may shadow them)
+const MATH_CONSTANTS = {
+  pi: Math.PI,
+};
+
+function isMathFunctionName(name) {
+  return typeof name === "string" && Object.prototype.hasOwnProperty.call(MATH_FUNCTIONS, name.toLowerCase());
+}
+
+function isFunctionName(name) {
+  return isDistributionName(name) || isMathFunctionName(name) || isSampleQueryName(name) || isCorrelationName(name);
+}
+
+// --- Probability queries ---
+// Comparisons (`cost > 5000`) evaluate to the share of samples that satisfy them. Query functions
+// read the sample vector of their argument: P(comparison), mean, median, stddev and pNN percentiles
+// (p5, p90, ...). Their results are exact numbers; comparison results carry `probability: true`.
+const COMPARISON_OPERATORS = [">", "<", ">=", "<="];
+const SAMPLE_QUERY_FUNCTIONS = ["p", "mean", "median", "stddev"];
+const PERCENTILE_QUERY_REGEX = /^p(100|[0-9]{1,2})$/;
+
+function isComparisonOperator(operator) {
+  return COMPARISON_OPERATORS.includes(operator);
+}
+
+function isSampleQueryName(name) {
+  if (typeof name !== "string") return false;
+  const key = name.toLowerCase();
+  return SAMPLE_QUERY_FUNCTIONS.includes(key) || PERCENTILE_QUERY_REGEX.test(key);
+}
+
+function compareNumbers(operator, a, b) {
+  if (operator === ">") return a > b;
+  if (operator === "<") return a < b;
+  if (operator === ">=") return a >= b;
+  if (operator === "<=") return a <= b;
+  throw new Error(`Unknown comparison operator '${operator}'`);
+}
+
+// Share of sample pairs satisfying the comparison (pairs with NaN are skipped); exact operands give 0 or 1
+function getComparisonProbability(operator, left, right, sampleCount) {
+  const leftSamples = Array.isArray(left.samples) ? left.samples : null;
+  const rightSamples = Array.isArray(right.samples) ? right.samples : null;
+  if (!leftSamples && !rightSamples) return compareNumbers(operator, left.mean, right.mean) ? 1 : 0;
+
+  let hits = 0;
+  let total = 0;
+  for (let i = 0; i < sampleCount; i++) {
+    const a = leftSamples ? leftSamples[i] : left.mean;
+    const b = rightSamples ? rightSamples[i] : right.mean;
+    if (isNaN(a) || isNaN(b)) continue;
+    total++;
+    if (compareNumbers(operator, a, b)) hits++;
+  }
+  return total > 0 ? hits / total : NaN;
+}
+
+function markProbability(value) {
+  value.probability = true;
+  return value;
+}
+
+// Evaluate a query function on one argument and return a plain number (P returns the probability itself)
+function evaluateSampleQuery(name, args) {
+  const key = name.toLowerCase();
+  if (args.length !== 1) throw new Error(`Function '${key}' expects 1 argument(s), got ${args.length}`);
+  const [arg] = args;
+  if (key === "p") {
+    if (!arg.probability) throw new Error("P() expects a comparison, e.g. P(cost > 1000)");
+    return arg.mean;
+  }
+  if (!Array.isArray(arg.samples)) return key === "stddev" ? 0 : arg.mean;
+
+  const percentileMatch = key.match(PERCENTILE_QUERY_REGEX);
+  const stats = getSampleStatistics(arg.samples, { percentiles: percentileMatch ? [Number(percentileMatch[1])] : [] });
+  if (percentileMatch) return Object.values(stats.percentiles)[0];
+  if (key === "stddev") return stats.stdDev;
+  if (key === "median") return stats.median;
+  return stats.mean;
+}
+
+function formatProbability(probability) {
+  if (isNaN(probability)) return "NaN";
+  return `${(probability * 100).toFixed(1)}%`;
+}
+
+// Apply a math function to UncertainValue arguments: samples are mapped index by index, the
+// bounds use the function's interval rule, and shared inputs fall back to the dependency scan. The mean
+// is the function at the argument means, as for operators, not the average of the mapped samples.
+function evaluateMathFunction(name, args, sampleCount) {
+  const key = name.toLowerCase();
+  const fn = MATH_FUNCTIONS[key];
+  if (!fn) throw new Error(`Unknown function '${name}'`);
+  const [minArgs, maxArgs] = fn.arity;
+  if (args.length < minArgs || args.length > maxArgs) {
+    const expected = minArgs === maxArgs ? `${minArgs}` : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs}-${maxArgs}`;
+    throw new Error(`Function '${key}' expects ${expected} argument(s), got ${args.length}`);
+  }
+  for (const index of fn.exactArgs || []) {
+    if (args[index] && args[index].samples !== null) {
+      throw new Error(`Argument ${index + 1} of '${key}' must be an exact number`);
+    }
+  }
+
+  const mean = fn.apply(...args.map((arg) => arg.mean));
+  let { min, max } = fn.bounds(args);
+  const hasSamples = args.some((arg) => Array.isArray(arg.samples));
+  const samples = hasSamples
+    ? Array.from({ length: sampleCount }, (_, i) =>
+        fn.apply(...args.map((arg) => (Array.isArray(arg.samples) ? arg.samples[i] : arg.mean))),
+      )
+    : null;
+
+  const inputs = {};
+  let shared = false;
+  for (const arg of args) {
+    for (const [id, range] of Object.entries(getValueInputs(arg))) {
+      if (id in inputs) shared = true;
+      inputs[id] = range;
+    }
+  }
+  const evaluateAt = (point) => fn.apply(...args.map((arg) => evaluateValueAt(arg, point)));
+  const dependentBounds = shared ? getDependentBounds(evaluateAt, inputs) : null;
+  if (dependentBounds) ({ min, max } = dependentBounds);
+
+  return attachDependencies({ mean, min, max, samples }, inputs, evaluateAt);
+}
+
+// --- Correlated inputs ---
+// `corr(a, b, 0.7)` gives two uncertain inputs a rank correlation, e.g. labour hours and material cost. The
+// inputs keep their samples but not their order (Iman–Conover): correlated normal scores are drawn and each
+// input's sorted samples are laid out in the rank order of its score column. Correlations stated with one
+// random source (an expression or a worksheet) form one matrix, so `corr(a, b, 0.7)` and `corr(b, c, -0.3)`
+// both hold. Values computed from an input before its correlation was stated keep the old order, so every
+// reordered input continues under a new id (`renames`) and those values count as independent of it from then
+// on. The call returns the rank correlation reached.
+const correlationGroups = new WeakMap();
+
+function isCorrelationName(name) {
+  return typeof name === "string" && name.toLowerCase() === "corr";
+}
+
+// Id a leaf goes by after the reorderings of `corr` with this random source
+function getCorrelatedLeafId(id, random) {
+  const group = correlationGroups.get(random);
+  let current = id;
+  while (group && group.renames.has(current)) current = group.renames.get(current);
+  return current;
+}
+
+// Lower triangular L with L·Lᵀ = matrix, or null when the matrix is not positive definite
+function choleskyDecompose(matrix) {
+  const size = matrix.length;
+  const lower = matrix.map(() => Array(size).fill(0));
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (sum <= 1e-12) return null;
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
       }
+    }
+  }
+  return lower;
+}
 
-      const aMin = uvA.min, aMax = uvA.max;
-      const bMin = uvB.min, bMax = uvB.max;
-
-      switch (token) {
-        case "+":
-          newMin = aMin + bMin;
-          newMax = aMax + bMax;
-          break;
-        case "-":
-          newMin = aMin - bMax;
-          newMax = aMax - bMin;
-          break;
-        case "*":
-          const prods = [aMin * bMin, aMin * bMax, aMax * bMin, aMax * bMax];
-          newMin = Math.min(...prods);
-          newMax = Math.max(...prods);
-          break;
-        case "^":
-          const powers = [aMin ** bMin, aMin ** bMax, aMax ** bMin, aMax ** bMax];
-          newMin = Math.min(...powers);
-          newMax = Math.max(...powers);
-          break;
-        case "/":
-          if (bMin <= 0 && bMax >= 0) {
-            if (bMin === 0 && bMax === 0) {
-              newMin = NaN;
-              newMax = NaN;
-              newMean = NaN;
-            } else {
-              if (aMin === 0 && aMax === 0) {
-                newMin = 0;
-                newMax = 0;
-              } else {
-                newMin = -Infinity;
-                newMax = Infinity;
-              }
-            }
-          } else {
-            const quots = [aMin / bMin, aMin / bMax, aMax / bMin, aMax / bMax];
-            newMin = Math.min(...quots);
-            newMax = Math.max(...quots);
-          }
-          break;
+// Pearson correlation matrix of the columns of `rows`
+function getColumnCorrelations(rows, size) {
+  const means = Array.from({ length: size }, (_, j) => rows.reduce((sum, row) => sum + row[j], 0) / rows.length);
+  const covariance = (i, j) => rows.reduce((sum, row) => sum + (row[i] - means[i]) * (row[j] - means[j]), 0);
+  const variances = means.map((_, j) => covariance(j, j));
+  return means.map((_, i) => means.map((__, j) => (i === j ? 1 : covariance(i, j) / Math.sqrt(variances[i] * variances[j]))));
+}
+
+// Rows of normal scores whose columns have the rank correlations in `matrix`
+function getCorrelatedScores(matrix, sampleCount, random) {
+  const size = matrix.length;
+  // Normal scores with Pearson correlation 2·sin(π·ρ/6) have rank correlation ρ
+  const target = choleskyDecompose(
+    matrix.map((row, i) => row.map((rho, j) => (i === j ? 1 : 2 * Math.sin((Math.PI * rho) / 6)))),
+  );
+  if (!target) throw new Error("These correlations contradict each other; weaken some of them");
+
+  const draws = Array.from({ length: sampleCount }, () => Array.from({ length: size }, () => random.gaussian(0, 1)));
+  // Undo the chance correlation of the draws first, so the target is met closely with few samples too
+  const drawn = sampleCount > size ? choleskyDecompose(getColumnCorrelations(draws, size)) : null;
+  return draws.map((draw) => {
+    const independent = [];
+    for (let i = 0; i < size; i++) {
+      let value = draw[i];
+      if (drawn) {
+        for (let k = 0; k < i; k++) value -= drawn[i][k] * independent[k];
+        value /= drawn[i][i];
       }
+      independent.push(value);
+    }
+    return target.map((row) => row.reduce((sum, weight, k) => sum + weight * independent[k], 0));
+  });
+}
+
+// Input leaf behind a value: one input whose samples are the value's own, as for a range or a distribution
+function getCorrelationLeaf(value, position) {
+  const entries = Object.entries(getValueInputs(value));
+  const [id, input] = entries.length === 1 ? entries[0] : [];
+  const isLeaf =
+    !!input &&
+    Array.isArray(value.samples) &&
+    Array.isArray(input.samples) &&
+    input.samples.length === value.samples.length &&
+    value.samples.every((sample, i) => sample === input.samples[i]);
+  if (!isLeaf) {
+    throw new Error(`Argument ${position} of 'corr' must be an uncertain input such as a range or a variable holding one`);
+  }
+  return { id, arrays: new Set([value.samples, input.samples]) };
+}
 
-      const samplesA = uvA.samples ?? uvA.mean;
-      const samplesB = uvB.samples ?? uvB.mean;
-      const newSamples = operateSamples(samplesA, samplesB, token, sampleCount);
+// Lay out every sample array of a leaf so its ranks follow `scores`
+function reorderLeafSamples(leaf, scores) {
+  const [primary] = leaf.arrays;
+  const byValue = primary.map((_, index) => index).sort((a, b) => primary[a] - primary[b]);
+  const byScore = scores.map((_, index) => index).sort((a, b) => scores[a] - scores[b]);
+  const source = Array(primary.length);
+  byScore.forEach((position, rank) => {
+    source[position] = byValue[rank];
+  });
+  for (const samples of leaf.arrays) {
+    const previous = samples.slice();
+    for (let i = 0; i < samples.length; i++) samples[i] = previous[source[i]];
+  }
+}
+
+function evaluateCorrelation(args, random) {
+  if (args.length !== 3) throw new Error(`Function 'corr' expects 3 argument(s), got ${args.length}`);
+  const [left, right, coefficient] = args;
+  const rho = coefficient.mean;
+  if (coefficient.samples !== null || !isDimensionless(coefficient.unit) || !(rho >= -1 && rho <= 1)) {
+    throw new Error("The correlation in 'corr' must be an exact number from -1 to 1");
+  }
+  const leaves = [getCorrelationLeaf(left, 1), getCorrelationLeaf(right, 2)];
+  if (leaves[0].id === leaves[1].id) throw new Error("'corr' needs two different inputs");
+
+  // The group only takes the new pair once the matrix still holds with it
+  const group = correlationGroups.get(random) || { leaves: new Map(), pairs: new Map(), renames: new Map() };
+  const pairKey = (a, b) => [a, b].sort().join("|");
+  const pairs = new Map(group.pairs).set(pairKey(leaves[0].id, leaves[1].id), rho);
+  const ids = [...new Set([...group.leaves.keys(), leaves[0].id, leaves[1].id])];
+  const matrix = ids.map((a) => ids.map((b) => (a === b ? 1 : pairs.get(pairKey(a, b)) ?? 0)));
+  const scores = getCorrelatedScores(matrix, left.samples.length, random);
+
+  group.pairs = pairs;
+  for (const leaf of leaves) {
+    const known = group.leaves.get(leaf.id);
+    if (known) leaf.arrays.forEach((samples) => known.arrays.add(samples));
+    else group.leaves.set(leaf.id, leaf);
+  }
+  correlationGroups.set(random, group);
+  ids.forEach((id, column) => reorderLeafSamples(group.leaves.get(id), scores.map((row) => row[column])));
+
+  // Values computed so far hold the old order, so the reordered leaves are new inputs to what follows
+  const renamed = new Map(ids.map((id) => [id, getNextInputId(random)]));
+  group.leaves = new Map(ids.map((id) => [renamed.get(id), group.leaves.get(id)]));
+  group.pairs = new Map(
+    [...pairs].map(([key, value]) => [pairKey(...key.split("|").map((id) => renamed.get(id))), value]),
+  );
+  renamed.forEach((to, from) => group.renames.set(from, to));
 
-      stack.push({
-        mean: newMean,
-        min: newMin,
-        max: newMax,
-        samples: newSamples,
-      });
+  const reached = getRankCorrelation(left.samples, right.samples);
+  return createExactDependencies(createUnitValue({}, reached, reached, reached));
+}
+
+// --- RPN compatibility layer ---
+// Rebuild the AST from an RPN queue (NEG, call markers and binary operators) so legacy callers share the
+// evaluator; identifier tokens become variable references looked up in `variables`.
+function rpnToAst(rpnQueue, variables, sampleCount, random) {
+  const stack = [];
+  const popOperands = (count, message) => {
+    if (stack.length < count) throw new Error(message);
+    return stack.splice(stack.length - count, count);
+  };
+
+  for (const token of rpnQueue) {
+    if (token === "NEG") {
+      const [value] = popOperands(1, "Not enough operands for unary minus");
+      stack.push({ type: "unary", operator: "-", value });
+    } else if (token === "%") {
+      const [value] = popOperands(1, "Not enough operands for '%'");
+      stack.push({ type: "unary", operator: "%", value });
+    } else if (token && typeof token === "object" && token.type === "call") {
+      if (!isFunctionName(token.name)) throw new Error(`Unknown function '${token.name}'`);
+      const args = popOperands(token.argCount, `Not enough arguments for '${token.name}'`);
+      stack.push({ type: "call", name: token.name, args });
+    } else if (typeof token === "number") {
+      stack.push(createScalarLiteral(token));
+    } else if (isIdentifierToken(token)) {
+      stack.push({ type: "variable", name: token, value: lookupVariable(variables, token, sampleCount, random) });
+    } else if (token === "~" || token === "as % of" || "+-*/^".includes(token) || isComparisonOperator(token)) {
+      const [left, right] = popOperands(2, `Not enough operands for '${token}'`);
+      stack.push({ type: "binary", operator: token, left, right });
     } else {
       throw new Error(`Internal Error: Unknown RPN token: ${token}`);
     }
@@ -323,23 +946,551 @@ function evalRpn(rpnQueue, sampleCount = DEFAULT_SAMPLES) {
   return stack[0];
 }
 
-// Convenience: run full pipeline (tokenize -> RPN -> evaluate) and return UncertainValue
-function evaluateExpression(expression, sampleCount = DEFAULT_SAMPLES) {
-  const tokens = tokenize(expression);
-  const rpn = shuntingYard(tokens);
-  return evalRpn(rpn, sampleCount);
+// Evaluate an RPN queue into an UncertainValue (mean/min/max/samples) with the AST evaluator.
+// Identifier tokens are looked up in options.variables; their samples are reused, not redrawn.
+// New samples come from options.random / options.seed (see resolveRandom).
+function evalRpn(rpnQueue, sampleCount = DEFAULT_SAMPLES, options = {}) {
+  const variables = { ...MATH_CONSTANTS, ...options.variables };
+  const random = resolveRandom(options);
+  const ast = rpnToAst(rpnQueue, variables, sampleCount, random);
+  if (!ast) return null;
+  const rates = attachWorkCalendar(buildCurrencyRateMap(options.currencyRates), createWorkCalendar(options.calendar));
+  return evaluateAst(ast, rates, sampleCount, random);
+}
+
+// Physical units keyed by lowercase name. `dimension` holds base-dimension exponents and `scale` the size
+// of one unit in base units (m, s, kg, byte). Aliases resolve to the same `name`, which is what unit
+// maps store; any other identifier used as a unit is read as a currency (see CURRENCIES).
+const PHYSICAL_UNITS = {};
+
+function defineUnits(dimension, definitions) {
+  for (const [symbol, scale, ...aliases] of definitions) {
+    const name = symbol.toLowerCase();
+    const unit = { name, symbol, dimension, scale };
+    for (const key of [name, ...aliases]) PHYSICAL_UNITS[key] = unit;
+  }
+}
+
+defineUnits({ length: 1 }, [
+  ["mm", 0.001],
+  ["cm", 0.01],
+  ["m", 1],
+  ["km", 1000],
+  ["in", 0.0254, "inch", "inches"],
+  ["ft", 0.3048, "foot", "feet"],
+  ["yd", 0.9144],
+  ["mi", 1609.344, "mile", "miles"],
+]);
+defineUnits({ length: 2 }, [["ha", 10000]]);
+defineUnits({ length: 3 }, [
+  ["mL", 0.000001, "ml"],
+  ["L", 0.001, "liter", "liters", "litre", "litres"],
+]);
+defineUnits({ time: 1 }, [
+  ["ms", 0.001],
+  ["s", 1, "sec", "second", "seconds"],
+  ["min", 60, "minute", "minutes"],
+  ["h", 3600, "hr", "hour", "hours"],
+  ["day", 86400, "days", "d"],
+  ["week", 604800, "weeks", "wk"],
+  ["month", 2629746, "months"],
+  ["year", 31556952, "years", "yr"],
+]);
+defineUnits({ length: 1, time: -1 }, [["mph", 0.44704]]);
+defineUnits({ mass: 1 }, [
+  ["mg", 0.000001],
+  ["g", 0.001],
+  ["kg", 1],
+  ["oz", 0.028349523125],
+  ["lb", 0.45359237, "lbs"],
+]);
+defineUnits({ data: 1 }, [
+  ["bit", 0.125, "bits"],
+  ["B", 1, "byte", "bytes"],
+  ["kB", 1e3],
+  ["MB", 1e6],
+  ["GB", 1e9],
+  ["TB", 1e12],
+  ["KiB", 1024],
+  ["MiB", 1024 ** 2],
+  ["GiB", 1024 ** 3],
+  ["TiB", 1024 ** 4],
+]);
+defineUnits({ mass: 1, length: 2, time: -2 }, [
+  ["J", 1],
+  ["kJ", 1e3],
+  ["MJ", 1e6],
+  ["Wh", 3600],
+  ["kWh", 3.6e6],
+  ["MWh", 3.6e9],
+  ["cal", 4.184],
+  ["kcal", 4184],
+]);
+defineUnits({ mass: 1, length: 2, time: -3 }, [
+  ["W", 1],
+  ["kW", 1e3],
+  ["MW", 1e6],
+]);
+// Business days count on a work calendar (see addWorkdays) rather than a fixed length, and a date is a day
+// number on the calendar, so neither converts to time
+defineUnits({ workday: 1 }, [["workday", 1, "workdays"]]);
+defineUnits({ date: 1 }, [["date", 1]]);
+
+function isPhysicalUnitName(name) {
+  return Object.prototype.hasOwnProperty.call(PHYSICAL_UNITS, String(name).toLowerCase());
+}
+
+// ISO 4217 currencies keyed by lowercase code, with their English name and minor-unit decimals (JPY has
+// none, KWD has 3). Aliases (`dollars`, `euro`) and symbols (`$`, `€`, `zł`) resolve to the same code.
+// Codes missing here still work as currencies when the rate map knows them (e.g. custom `btc` rates).
+const CURRENCIES = {};
+const CURRENCY_ALIASES = {};
+
+function defineCurrencies(decimals, definitions) {
+  for (const [code, name, ...aliases] of definitions) {
+    const key = code.toLowerCase();
+    CURRENCIES[key] = { code, name, decimals };
+    for (const alias of aliases) CURRENCY_ALIASES[alias] = key;
+  }
+}
+
+defineCurrencies(0, [
+  ["BIF", "Burundian franc"],
+  ["CLP", "Chilean peso"],
+  ["DJF", "Djiboutian franc"],
+  ["GNF", "Guinean franc"],
+  ["ISK", "Icelandic krona"],
+  ["JPY", "Japanese yen", "yen"],
+  ["KMF", "Comorian franc"],
+  ["KRW", "South Korean won"],
+  ["PYG", "Paraguayan guarani"],
+  ["RWF", "Rwandan franc"],
+  ["UGX", "Ugandan shilling"],
+  ["VND", "Vietnamese dong"],
+  ["VUV", "Vanuatu vatu"],
+  ["XAF", "Central African CFA franc"],
+  ["XOF", "West African CFA franc"],
+  ["XPF", "CFP franc"],
+]);
+defineCurrencies(3, [
+  ["BHD", "Bahraini dinar"],
+  ["IQD", "Iraqi dinar"],
+  ["JOD", "Jordanian dinar"],
+  ["KWD", "Kuwaiti dinar"],
+  ["LYD", "Libyan dinar"],
+  ["OMR", "Omani rial"],
+  ["TND", "Tunisian dinar"],
+]);
+defineCurrencies(2, [
+  ["AED", "UAE dirham", "dirham", "dirhams"],
+  ["AFN", "Afghan afghani"],
+  ["ALL", "Albanian lek"],
+  ["AMD", "Armenian dram"],
+  ["ANG", "Netherlands Antillean guilder"],
+  ["AOA", "Angolan kwanza"],
+  ["ARS", "Argentine peso"],
+  ["AUD", "Australian dollar"],
+  ["AWG", "Aruban florin"],
+  ["AZN", "Azerbaijani manat"],
+  ["BAM", "Bosnia and Herzegovina convertible mark"],
+  ["BBD", "Barbadian dollar"],
+  ["BDT", "Bangladeshi taka"],
+  ["BGN", "Bulgarian lev"],
+  ["BMD", "Bermudian dollar"],
+  ["BND", "Brunei dollar"],
+  ["BOB", "Bolivian boliviano"],
+  ["BRL", "Brazilian real", "reais"],
+  ["BSD", "Bahamian dollar"],
+  ["BTN", "Bhutanese ngultrum"],
+  ["BWP", "Botswana pula"],
+  ["BYN", "Belarusian ruble"],
+  ["BZD", "Belize dollar"],
+  ["CAD", "Canadian dollar"],
+  ["CDF", "Congolese franc"],
+  ["CHF", "Swiss franc", "franc", "francs"],
+  ["CNY", "Chinese yuan", "yuan", "renminbi", "rmb"],
+  ["COP", "Colombian peso"],
+  ["CRC", "Costa Rican colon"],
+  ["CUP", "Cuban peso"],
+  ["CVE", "Cape Verdean escudo"],
+  ["CZK", "Czech koruna", "koruna"],
+  ["DKK", "Danish krone"],
+  ["DOP", "Dominican peso"],
+  ["DZD", "Algerian dinar"],
+  ["EGP", "Egyptian pound"],
+  ["ERN", "Eritrean nakfa"],
+  ["ETB", "Ethiopian birr"],
+  ["EUR", "Euro", "euro", "euros"],
+  ["FJD", "Fijian dollar"],
+  ["FKP", "Falkland Islands pound"],
+  ["GBP", "Pound sterling", "pound", "pounds", "sterling"],
+  ["GEL", "Georgian lari"],
+  ["GHS", "Ghanaian cedi"],
+  ["GIP", "Gibraltar pound"],
+  ["GMD", "Gambian dalasi"],
+  ["GTQ", "Guatemalan quetzal"],
+  ["GYD", "Guyanese dollar"],
+  ["HKD", "Hong Kong dollar"],
+  ["HNL", "Honduran lempira"],
+  ["HTG", "Haitian gourde"],
+  ["HUF", "Hungarian forint", "forint", "forints"],
+  ["IDR", "Indonesian rupiah", "rupiah"],
+  ["ILS", "Israeli new shekel", "shekel", "shekels"],
+  ["INR", "Indian rupee", "rupee", "rupees"],
+  ["IRR", "Iranian rial"],
+  ["JMD", "Jamaican dollar"],
+  ["KES", "Kenyan shilling"],
+  ["KGS", "Kyrgyzstani som"],
+  ["KHR", "Cambodian riel"],
+  ["KPW", "North Korean won"],
+  ["KYD", "Cayman Islands dollar"],
+  ["KZT", "Kazakhstani tenge"],
+  ["LAK", "Lao kip"],
+  ["LBP", "Lebanese pound"],
+  ["LKR", "Sri Lankan rupee"],
+  ["LRD", "Liberian dollar"],
+  ["LSL", "Lesotho loti"],
+  ["MAD", "Moroccan dirham"],
+  ["MDL", "Moldovan leu"],
+  ["MGA", "Malagasy ariary"],
+  ["MKD", "Macedonian denar"],
+  ["MMK", "Myanmar kyat"],
+  ["MNT", "Mongolian togrog"],
+  ["MOP", "Macanese pataca"],
+  ["MRU", "Mauritanian ouguiya"],
+  ["MUR", "Mauritian rupee"],
+  ["MVR", "Maldivian rufiyaa"],
+  ["MWK", "Malawian kwacha"],
+  ["MXN", "Mexican peso"],
+  ["MYR", "Malaysian ringgit", "ringgit"],
+  ["MZN", "Mozambican metical"],
+  ["NAD", "Namibian dollar"],
+  ["NGN", "Nigerian naira", "naira"],
+  ["NIO", "Nicaraguan cordoba"],
+  ["NOK", "Norwegian krone"],
+  ["NPR", "Nepalese rupee"],
+  ["NZD", "New Zealand dollar"],
+  ["PAB", "Panamanian balboa"],
+  ["PEN", "Peruvian sol"],
+  ["PGK", "Papua New Guinean kina"],
+  ["PHP", "Philippine peso"],
+  ["PKR", "Pakistani rupee"],
+  ["PLN", "Polish zloty", "zloty", "zlotys", "zlote", "zlotych"],
+  ["QAR", "Qatari riyal"],
+  ["RON", "Romanian leu"],
+  ["RSD", "Serbian dinar"],
+  ["RUB", "Russian ruble", "ruble", "rubles", "rouble", "roubles"],
+  ["SAR", "Saudi riyal", "riyal", "riyals"],
+  ["SBD", "Solomon Islands dollar"],
+  ["SCR", "Seychellois rupee"],
+  ["SDG", "Sudanese pound"],
+  ["SEK", "Swedish krona"],
+  ["SGD", "Singapore dollar"],
+  ["SHP", "Saint Helena pound"],
+  ["SLE", "Sierra Leonean leone"],
+  ["SOS", "Somali shilling"],
+  ["SRD", "Surinamese dollar"],
+  ["SSP", "South Sudanese pound"],
+  ["STN", "Sao Tome and Principe dobra"],
+  ["SVC", "Salvadoran colon"],
+  ["SYP", "Syrian pound"],
+  ["SZL", "Swazi lilangeni"],
+  ["THB", "Thai baht", "baht"],
+  ["TJS", "Tajikistani somoni"],
+  ["TMT", "Turkmenistan manat"],
+  ["TOP", "Tongan pa'anga"],
+  ["TRY", "Turkish lira", "lira", "liras"],
+  ["TTD", "Trinidad and Tobago dollar"],
+  ["TWD", "New Taiwan dollar"],
+  ["TZS", "Tanzanian shilling"],
+  ["UAH", "Ukrainian hryvnia", "hryvnia", "hryvnias"],
+  ["USD", "US dollar", "dollar", "dollars"],
+  ["UYU", "Uruguayan peso"],
+  ["UZS", "Uzbekistani som"],
+  ["VES", "Venezuelan bolivar"],
+  ["WST", "Samoan tala"],
+  ["XCD", "East Caribbean dollar"],
+  ["YER", "Yemeni rial"],
+  ["ZAR", "South African rand"],
+  ["ZMW", "Zambian kwacha"],
+  ["ZWG", "Zimbabwe gold"],
+]);
+
+// Longest first, so `NZ$` wins over `$`. Matched case-insensitively, before or after an amount.
+const CURRENCY_SYMBOLS = [
+  ["NZ$", "nzd"],
+  ["HK$", "hkd"],
+  ["US$", "usd"],
+  ["A$", "aud"],
+  ["C$", "cad"],
+  ["S$", "sgd"],
+  ["R$", "brl"],
+  ["zł", "pln"],
+  ["Kč", "czk"],
+  ["$", "usd"],
+  ["€", "eur"],
+  ["£", "gbp"],
+  ["¥", "jpy"],
+  ["₹", "inr"],
+  ["₩", "krw"],
+  ["₽", "rub"],
+  ["₺", "try"],
+  ["₴", "uah"],
+  ["₪", "ils"],
+  ["₫", "vnd"],
+  ["₱", "php"],
+  ["฿", "thb"],
+  ["₦", "ngn"],
+  ["₸", "kzt"],
+  ["₾", "gel"],
+];
+
+function matchCurrencySymbol(input, index) {
+  for (const [symbol, code] of CURRENCY_SYMBOLS) {
+    if (input.slice(index, index + symbol.length).toLowerCase() === symbol.toLowerCase()) return { symbol, code };
+  }
+  return null;
+}
+
+// The ISO code a currency code or alias stands for (lowercase), null for names outside the registry
+function resolveCurrencyName(name) {
+  const lowered = String(name).toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(CURRENCIES, lowered)) return lowered;
+  if (Object.prototype.hasOwnProperty.call(CURRENCY_ALIASES, lowered)) return CURRENCY_ALIASES[lowered];
+  return null;
+}
+
+// Registry entry ({ code, name, decimals }) for a code, alias or symbol
+function getCurrencyInfo(name) {
+  const symbol = matchCurrencySymbol(String(name), 0);
+  const code = symbol && symbol.symbol.length === String(name).length ? symbol.code : resolveCurrencyName(name);
+  return code ? { ...CURRENCIES[code] } : null;
+}
+
+function getCurrencyDecimals(code) {
+  const resolved = code ? resolveCurrencyName(code) : null;
+  return resolved ? CURRENCIES[resolved].decimals : 2;
+}
+
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// "Unknown currency 'usdd'. Did you mean 'usd'?" with up to three close codes, aliases or units
+function createUnknownCurrencyError(name, extraCodes = []) {
+  const lowered = String(name).toLowerCase();
+  const candidates = new Set([...Object.keys(CURRENCIES), ...Object.keys(CURRENCY_ALIASES), ...extraCodes]);
+  for (const unit of Object.values(PHYSICAL_UNITS)) candidates.add(unit.name);
+  const limit = lowered.length <= 3 ? 1 : 2;
+  const suggestions = [...candidates]
+    .map((candidate) => ({ candidate, distance: getEditDistance(lowered, candidate.toLowerCase()) }))
+    .filter((entry) => entry.distance <= limit)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, 3)
+    .map((entry) => `'${entry.candidate}'`);
+  if (suggestions.length === 0) return new Error(`Unknown currency '${name}'`);
+  const list = suggestions.length === 1 ? suggestions[0] : `${suggestions.slice(0, -1).join(", ")} or ${suggestions.at(-1)}`;
+  return new Error(`Unknown currency '${name}'. Did you mean ${list}?`);
+}
+
+// Units are maps from unit name to exponent ({ km: 1, h: -1 }); `{}` is dimensionless and a currency
+// code is a unit of the money dimension, so `{ usd: 1, gb: -1 }` is a price per gigabyte.
+function createUnit(name) {
+  const lowered = String(name).toLowerCase();
+  if (isPhysicalUnitName(lowered)) return { [PHYSICAL_UNITS[lowered].name]: 1 };
+  return { [resolveCurrencyName(lowered) ?? lowered]: 1 };
+}
+
+function combineUnits(left, right, sign = 1) {
+  const combined = { ...left };
+  for (const [name, exponent] of Object.entries(right)) {
+    const next = (combined[name] || 0) + sign * exponent;
+    if (Math.abs(next) < 1e-12) delete combined[name];
+    else combined[name] = next;
+  }
+  return combined;
+}
+
+function powerUnit(unit, power) {
+  if (power === 0) return {};
+  const powered = {};
+  for (const [name, exponent] of Object.entries(unit)) powered[name] = exponent * power;
+  return powered;
+}
+
+function isDimensionless(unit) {
+  return !unit || Object.keys(unit).length === 0;
+}
+
+function isDateUnit(unit) {
+  return !!unit && unit.date === 1 && Object.keys(unit).length === 1;
+}
+
+function unitsEqual(left, right) {
+  return isDimensionless(combineUnits(left || {}, right || {}, -1));
+}
+
+// The currency code when `unit` is a plain amount of money, null otherwise
+function getUnitCurrency(unit) {
+  const entries = Object.entries(unit || {});
+  if (entries.length !== 1 || entries[0][1] !== 1 || isPhysicalUnitName(entries[0][0])) return null;
+  return entries[0][0];
+}
+
+function getUnitKind(unit) {
+  if (isDimensionless(unit)) return "scalar";
+  if (isDateUnit(unit)) return "date";
+  return getUnitCurrency(unit) ? "money" : "quantity";
+}
+
+function getUnitDimension(unit) {
+  let dimension = {};
+  for (const [name, exponent] of Object.entries(unit)) {
+    const physical = PHYSICAL_UNITS[name];
+    dimension = combineUnits(dimension, physical ? powerUnit(physical.dimension, exponent) : { money: exponent });
+  }
+  return dimension;
+}
+
+function haveSameDimension(left, right) {
+  return unitsEqual(getUnitDimension(left), getUnitDimension(right));
+}
+
+function formatUnit(unit) {
+  const formatPart = ([name, exponent]) => {
+    const symbol = PHYSICAL_UNITS[name] ? PHYSICAL_UNITS[name].symbol : name;
+    const power = Math.abs(exponent);
+    return power === 1 ? symbol : `${symbol}^${formatScalarAmount(power)}`;
+  };
+  const entries = Object.entries(unit || {});
+  const numerator = entries.filter(([, exponent]) => exponent > 0).map(formatPart).join("*");
+  const denominator = entries.filter(([, exponent]) => exponent < 0).map(formatPart);
+  if (denominator.length === 0) return numerator;
+  return `${numerator || "1"}/${denominator.join("/")}`;
+}
+
+// Append a unit to an already formatted amount: `2` and `1/h` read as `2/h`
+function formatUnitAmount(amountText, unit) {
+  const unitText = formatUnit(unit);
+  return unitText.startsWith("1/") ? `${amountText}${unitText.slice(1)}` : `${amountText}${unitText}`;
+}
+
+function describeUnit(unit) {
+  const kind = getUnitKind(unit);
+  if (kind === "scalar") return "scalar";
+  if (kind === "money") return "currency";
+  return formatUnit(unit);
+}
+
+// Multiplier taking an amount in `from` to `to`. Physical units scale through their base units; currency
+// codes go through `rates` via a pivot currency, so compound prices (`usd/GB` to `eur/TB`) convert too.
+// The result is a number, or an uncertain rate value when an uncertain exchange rate is involved.
+function getUnitConversionRate(from, to, rates) {
+  if (!haveSameDimension(from, to)) {
+    const target = formatUnit(to) || "a scalar";
+    throw new Error(`Cannot convert ${describeUnit(from)} value to ${target}`);
+  }
+
+  const currencies = (unit) => Object.keys(unit).filter((name) => !isPhysicalUnitName(name));
+  const pivot = currencies(to)[0] || currencies(from)[0];
+  const unitFactor = (unit) =>
+    Object.entries(unit).reduce((factor, [name, exponent]) => {
+      const scale = isPhysicalUnitName(name) ? PHYSICAL_UNITS[name].scale : getCurrencyRate(name, pivot, rates);
+      return multiplyRates(factor, powerRate(scale, exponent));
+    }, 1);
+  return multiplyRates(unitFactor(from), powerRate(unitFactor(to), -1));
+}
+
+// Exact multiplier for literal steps: uncertain rates count at their mean
+function getUnitConversionFactor(from, to, rates) {
+  return getRateMean(getUnitConversionRate(from, to, rates));
+}
+
+// Read a unit at `start`: `km`, `km/h`, `usd/GB`, `m^2`, `kg*m/s^2` or `1/h`. Identifiers bound as
+// variables end the unit, so `to pln * hours` keeps `* hours` as trailing arithmetic.
+function parseUnitTokens(tokens, start, variables = null, isKnownCurrency = null) {
+  const isOperator = (token, values) => !!token && token.type === "operator" && values.includes(token.value);
+  const isUnitAt = (position) => {
+    const token = tokens[position];
+    return (
+      !!token &&
+      token.type === "identifier" &&
+      token.value !== BASE_CURRENCY_TOKEN &&
+      !hasVariable(variables, token.value) &&
+      !isOperator(tokens[position + 1], ["("])
+    );
+  };
+  let index = start;
+  let unit = {};
+
+  const readFactor = (sign) => {
+    const name = tokens[index].value;
+    if (isKnownCurrency && !isPhysicalUnitName(name) && !resolveCurrencyName(name) && !isKnownCurrency(name)) {
+      throw createUnknownCurrencyError(name);
+    }
+    let factor = createUnit(name);
+    index++;
+    if (isPhysicalUnitName(Object.keys(factor)[0]) && isOperator(tokens[index], ["^"])) {
+      const exponent = tokens[index + 1];
+      if (!exponent || exponent.type !== "number") throw new Error("Expected a number after '^' in unit");
+      factor = powerUnit(factor, exponent.value);
+      index += 2;
+    }
+    unit = combineUnits(unit, factor, sign);
+  };
+
+  const first = tokens[index];
+  if (first && first.type === "number" && first.value === 1 && isOperator(tokens[index + 1], ["/"])) {
+    if (!isUnitAt(index + 2)) return null;
+    index += 2;
+    readFactor(-1);
+  } else if (isUnitAt(index)) {
+    readFactor(1);
+  } else {
+    return null;
+  }
+
+  while (isOperator(tokens[index], ["*", "/"]) && isUnitAt(index + 1)) {
+    const sign = tokens[index].value === "/" ? -1 : 1;
+    index++;
+    readFactor(sign);
+  }
+  return { unit, end: index };
+}
+
+function parseUnitText(text) {
+  const tokens = lexExpression(String(text));
+  const parsed = parseUnitTokens(tokens, 0);
+  if (!parsed || parsed.end !== tokens.length) throw new Error(`Invalid unit '${text}'`);
+  return parsed.unit;
 }
 
-function roundCurrencyValue(value) {
+// Money is rounded to the minor unit of its currency: cents, whole yen, fils
+function roundCurrencyValue(value, decimals = 2) {
   if (isNaN(value) || !isFinite(value)) return value;
-  return Math.round((value + Number.EPSILON) * 100) / 100;
+  const scale = 10 ** decimals;
+  return Math.round((value + Number.EPSILON) * scale) / scale;
+}
+
+function roundUnitAmount(value, unit) {
+  return getUnitKind(unit) === "money" ? roundCurrencyValue(value, getCurrencyDecimals(getUnitCurrency(unit))) : value;
 }
 
-function formatCurrencyAmount(value, fixedDecimals = false) {
+function formatCurrencyAmount(value, fixedDecimals = false, currency = null) {
   if (isNaN(value) || !isFinite(value)) return formatNumber(value);
-  const rounded = roundCurrencyValue(value);
-  if (fixedDecimals) return rounded.toFixed(2);
-  return rounded.toFixed(2).replace(/\.?0+$/, "");
+  const decimals = getCurrencyDecimals(currency);
+  const fixed = roundCurrencyValue(value, decimals).toFixed(decimals);
+  if (fixedDecimals || decimals === 0) return fixed;
+  return fixed.replace(/\.?0+$/, "");
 }
 
 function formatScalarAmount(value) {
@@ -349,41 +1500,139 @@ function formatScalarAmount(value) {
   return fixed.replace(/\.?0+$/, "");
 }
 
+function createUnitLiteral(value, unit) {
+  const kind = getUnitKind(unit);
+  if (kind === "scalar") return { type: "literal", kind, value, unit: {} };
+  if (kind === "money") return { type: "literal", kind, value, unit: { ...unit }, currency: getUnitCurrency(unit) };
+  return { type: "literal", kind, value, unit: { ...unit } };
+}
+
 function createScalarLiteral(value) {
-  return { type: "literal", kind: "scalar", value };
+  return createUnitLiteral(value, {});
+}
+
+// Literal for an evaluated value, keeping the probability flag of comparison results, the percent flag and
+// the parts of a money bag
+function createLiteralFromValue(value) {
+  const literal = createUnitLiteral(value.mean, value.unit);
+  if (value.components) literal.components = mapValues(value.components, (part) => part.mean);
+  return copyValueFlags(value, literal);
 }
 
-function createMoneyLiteral(value, currency) {
-  return { type: "literal", kind: "money", value, currency: currency.toLowerCase() };
+// Carry the probability and percent flags over to a value or literal derived from `source`
+function copyValueFlags(source, target) {
+  if (source.probability) target.probability = true;
+  if (source.percent) target.percent = true;
+  return target;
 }
 
 function isLiteralNode(node) {
   return !!node && node.type === "literal";
 }
 
-function cloneCurrencyNode(node) {
+function cloneAstNode(node) {
   if (isLiteralNode(node)) {
-    if (node.kind === "money") return createMoneyLiteral(node.value, node.currency);
-    return createScalarLiteral(node.value);
+    const literal = createUnitLiteral(node.value, node.unit);
+    if (node.components) literal.components = { ...node.components };
+    return copyValueFlags(node, literal);
   }
   if (node.type === "base") return { type: "base" };
+  if (node.type === "variable") return { type: "variable", name: node.name, value: node.value };
   if (node.type === "unary") {
-    return { type: "unary", operator: node.operator, value: cloneCurrencyNode(node.value) };
+    return { type: "unary", operator: node.operator, value: cloneAstNode(node.value) };
   }
   if (node.type === "binary") {
     return {
       type: "binary",
       operator: node.operator,
-      left: cloneCurrencyNode(node.left),
-      right: cloneCurrencyNode(node.right),
+      left: cloneAstNode(node.left),
+      right: cloneAstNode(node.right),
     };
   }
+  if (node.type === "call") {
+    return { type: "call", name: node.name, args: node.args.map(cloneAstNode) };
+  }
   throw new Error(`Unknown node type: ${node.type}`);
 }
 
-function lexCurrencyExpression(input) {
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?![0-9A-Za-z])/;
+
+function parseIsoDate(raw) {
+  const match = raw.match(ISO_DATE_REGEX);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw new Error(`Invalid date '${match[0]}'`);
+  }
+  return match[0];
+}
+
+// Powers of ten of the SI suffixes a number may carry (`3k`, `2M usd`); they are case-sensitive, so `5m`
+// stays five metres and `2kg` two kilograms
+const SI_SUFFIX_EXPONENTS = { k: 3, K: 3, M: 6, G: 9, T: 12 };
+
+// Number literal starting at `start`: `123`, `1.5`, `.5`, `1,200` (groups of three digits), `1.5e6` and an
+// SI suffix (`3k`). With `decimalSeparator: ","` the roles swap (`1.200,5`). `allowGrouping: false` keeps
+// commas out of the number, as between call arguments. Returns `{ end, value }`, or null when no number
+// starts there.
+function scanNumber(input, start, options = {}) {
+  const decimalComma = options.decimalSeparator === ",";
+  const decimal = decimalComma ? "," : ".";
+  const group = decimalComma ? "." : ",";
+  const isDigit = (index) => /[0-9]/.test(input[index] || "");
+  let i = start;
+  while (isDigit(i)) i++;
+  let digits = input.slice(start, i);
+
+  if (digits.length > 0 && digits.length <= 3 && options.allowGrouping !== false) {
+    while (input[i] === group && /^[0-9]{3}(?![0-9])/.test(input.slice(i + 1, i + 5))) {
+      digits += input.slice(i + 1, i + 4);
+      i += 4;
+    }
+  }
+
+  let fraction = "";
+  // A decimal comma needs a digit after it, otherwise it separates arguments (`max(1,5, 2)`)
+  if (input[i] === decimal && (isDigit(i + 1) || (!decimalComma && digits))) {
+    const fractionStart = ++i;
+    while (isDigit(i)) i++;
+    fraction = input.slice(fractionStart, i);
+  }
+  if (!digits && !fraction) return null;
+
+  let exponent = 0;
+  const exponentMatch = /^[eE][+-]?[0-9]+/.exec(input.slice(i));
+  if (exponentMatch) {
+    exponent = Number(exponentMatch[0].slice(1));
+    i += exponentMatch[0].length;
+  }
+  const suffix = input[i];
+  // The K of `3Kč` starts a currency symbol, not a thousand
+  if (
+    Object.prototype.hasOwnProperty.call(SI_SUFFIX_EXPONENTS, suffix) &&
+    !/[A-Za-z0-9_]/.test(input[i + 1] || "") &&
+    !matchCurrencySymbol(input, i)
+  ) {
+    exponent += SI_SUFFIX_EXPONENTS[suffix];
+    i++;
+  }
+
+  // Shifting the exponent instead of multiplying keeps `1.2k` at exactly 1200
+  return { end: i, value: Number(`${digits || "0"}.${fraction || "0"}e${exponent}`) };
+}
+
+// `options.decimalSeparator` (see scanNumber) picks the decimal mark of number literals
+function lexExpression(input, options = {}) {
   const tokens = [];
+  // One entry per open parenthesis, true when it opened a call, whose commas separate arguments
+  const parens = [];
   let i = 0;
+  const scanNumberAt = (start) =>
+    scanNumber(input, start, {
+      decimalSeparator: options.decimalSeparator,
+      allowGrouping: options.decimalSeparator === "," || !parens[parens.length - 1],
+    });
 
   while (i < input.length) {
     const ch = input[i];
@@ -392,15 +1641,47 @@ function lexCurrencyExpression(input) {
       continue;
     }
 
-    if (/[0-9]/.test(ch)) {
+    // `2026-11-01` is a date literal; after `on` it dates the conversion (`to eur on 2024-03-01`)
+    const previous = tokens[tokens.length - 1];
+    const date = /[0-9]/.test(ch) ? parseIsoDate(input.slice(i)) : null;
+    if (date) {
+      tokens.push({ type: "date", value: date, raw: date });
+      i += date.length;
+      continue;
+    }
+    if (previous && previous.type === "on") throw new Error("Expected a date (YYYY-MM-DD) after 'on'");
+
+    // A currency symbol before an amount (`$120`, `€ 50`) or standing alone as a unit (`to €`, `usd/€`)
+    const prefixSymbol = matchCurrencySymbol(input, i);
+    if (prefixSymbol) {
       const start = i;
-      while (i < input.length && /[0-9]/.test(input[i])) i++;
-      if (i < input.length && input[i] === ".") {
-        i++;
-        while (i < input.length && /[0-9]/.test(input[i])) i++;
+      i += prefixSymbol.symbol.length;
+      let amountStart = i;
+      while (amountStart < input.length && /[ \t]/.test(input[amountStart])) amountStart++;
+      const amount = scanNumberAt(amountStart);
+      if (amount) {
+        i = amount.end;
+        tokens.push({ type: "quantity", value: amount.value, unit: prefixSymbol.code, raw: input.slice(start, i) });
+      } else {
+        tokens.push({ type: "identifier", value: prefixSymbol.code, raw: prefixSymbol.symbol });
       }
+      continue;
+    }
+
+    const number = scanNumberAt(i);
+    if (number) {
+      const start = i;
+      i = number.end;
       const numberRaw = input.slice(start, i);
-      const numberValue = parseFloat(numberRaw);
+      const numberValue = number.value;
+
+      // `50€`, `120zł`
+      const suffixSymbol = matchCurrencySymbol(input, i);
+      if (suffixSymbol) {
+        i += suffixSymbol.symbol.length;
+        tokens.push({ type: "quantity", value: numberValue, unit: suffixSymbol.code, raw: input.slice(start, i) });
+        continue;
+      }
 
       const suffixStart = i;
       while (i < input.length && /[A-Za-z]/.test(input[i])) i++;
@@ -408,9 +1689,10 @@ function lexCurrencyExpression(input) {
 
       if (suffix) {
         tokens.push({
-          type: "money",
+          type: "quantity",
           value: numberValue,
-          currency: suffix.toLowerCase(),
+          // `2w` is two weeks; watts keep their capital (`60W`)
+          unit: suffix === "w" ? "week" : suffix.toLowerCase(),
           raw: input.slice(start, i),
         });
       } else {
@@ -421,18 +1703,34 @@ function lexCurrencyExpression(input) {
 
     if (/[A-Za-z_]/.test(ch)) {
       const start = i;
-      while (i < input.length && /[A-Za-z_]/.test(input[i])) i++;
+      while (i < input.length && /[A-Za-z0-9_]/.test(input[i])) i++;
       const raw = input.slice(start, i);
       const lowered = raw.toLowerCase();
+      const percentOf = lowered === "as" ? /^\s*%\s*of\b/i.exec(input.slice(i)) : null;
       if (lowered === "to") {
         tokens.push({ type: "to", raw });
+      } else if (percentOf) {
+        // `x as % of y` is one operator; a lone `as` stays usable as a variable name
+        i += percentOf[0].length;
+        tokens.push({ type: "operator", value: "as % of", raw: input.slice(start, i) });
+      } else if (lowered === "on" && /^\s+\d{4}-/.test(input.slice(i))) {
+        // Only a date makes `on` a keyword, so `on` stays usable as a variable name
+        tokens.push({ type: "on", raw });
       } else {
         tokens.push({ type: "identifier", value: lowered, raw });
       }
       continue;
     }
 
-    if ("+-*/^()~".includes(ch)) {
+    if ((ch === ">" || ch === "<") && input[i + 1] === "=") {
+      tokens.push({ type: "operator", value: `${ch}=`, raw: `${ch}=` });
+      i += 2;
+      continue;
+    }
+
+    if ("+-*/^()~,<>%".includes(ch)) {
+      if (ch === "(") parens.push(!!previous && previous.type === "identifier");
+      if (ch === ")") parens.pop();
       tokens.push({ type: "operator", value: ch, raw: ch });
       i++;
       continue;
@@ -447,11 +1745,15 @@ function lexCurrencyExpression(input) {
 function formatTokenSequence(tokens) {
   const raw = tokens
     .map((token) => {
-      if (token.type === "money") return `${formatCurrencyAmount(token.value)}${token.currency}`;
+      if (token.type === "quantity") {
+        if (isPhysicalUnitName(token.unit)) return `${formatScalarAmount(token.value)}${token.unit}`;
+        return `${formatCurrencyAmount(token.value, false, token.unit)}${token.unit}`;
+      }
       if (token.type === "number") return formatScalarAmount(token.value);
       if (token.type === "identifier") return token.value;
       if (token.type === "operator") return token.value;
-      if (token.type === "to") return "to";
+      if (token.type === "to" || token.type === "on") return token.type;
+      if (token.type === "date") return token.value;
       return token.raw ?? "";
     })
     .join(" ");
@@ -461,6 +1763,7 @@ function formatTokenSequence(tokens) {
     .replace(/\s+\)/g, ")")
     .replace(/\s+([+\-*/^~])/g, " $1")
     .replace(/([+\-*/^~])\s+/g, "$1 ")
+    .replace(/\s+%/g, "%")
     .trim();
 }
 
@@ -475,9 +1778,14 @@ function findTopLevelToToken(tokens) {
   return -1;
 }
 
-function parseCurrencyExpressionTokens(tokens, options = {}) {
+function parseExpressionTokens(tokens, options = {}) {
   const allowBaseToken = !!options.allowBaseToken;
   const allowCurrencySuffix = options.allowCurrencySuffix !== false;
+  const variables = options.variables || null;
+  const sampleCount = options.sampleCount ?? DEFAULT_SAMPLES;
+  const random = options.random || null;
+  const isKnownCurrency = options.isKnownCurrency || (() => false);
+  const knownCurrencyCodes = options.knownCurrencyCodes || [];
   let index = 0;
 
   const peek = (offset = 0) => tokens[index + offset] || null;
@@ -496,7 +1804,25 @@ function parseCurrencyExpressionTokens(tokens, options = {}) {
     return false;
   };
 
-  const parseExpressionNode = () => parseAddSub();
+  const parseExpressionNode = () => parsePercentOf();
+
+  // `x as % of y` binds looser than everything else: `a + b as % of c` compares the sum
+  const parsePercentOf = () => {
+    const node = parseComparison();
+    if (matchOperator("as % of")) return { type: "binary", operator: "as % of", left: node, right: parseComparison() };
+    return node;
+  };
+
+  // Comparisons bind loosest and do not chain: `a + b > c` compares the sum
+  const parseComparison = () => {
+    const node = parseAddSub();
+    const token = peek();
+    if (token && token.type === "operator" && isComparisonOperator(token.value)) {
+      consume();
+      return { type: "binary", operator: token.value, left: node, right: parseAddSub() };
+    }
+    return node;
+  };
 
   const parseAddSub = () => {
     let node = parseMulDiv();
@@ -518,25 +1844,83 @@ function parseCurrencyExpressionTokens(tokens, options = {}) {
     return node;
   };
 
-  const parsePower = () => {
-    let node = parseRange();
-    while (matchOperator("^")) {
-      node = { type: "binary", operator: "^", left: node, right: parseRange() };
+  const parsePower = () => {
+    let node = parseRange();
+    while (matchOperator("^")) {
+      node = { type: "binary", operator: "^", left: node, right: parseRange() };
+    }
+    return node;
+  };
+
+  const parseRange = () => {
+    let node = parseUnary();
+    while (matchOperator("~")) {
+      node = { type: "binary", operator: "~", left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (matchOperator("-")) return { type: "unary", operator: "-", value: parseUnary() };
+    return parsePercent();
+  };
+
+  // A postfix `%` reads the value before it as hundredths: `23%`, `(a / b)%`
+  const parsePercent = () => {
+    let node = parsePrimary();
+    while (matchOperator("%")) node = { type: "unary", operator: "%", value: node };
+    return node;
+  };
+
+  const isCurrencySuffix = (token) =>
+    allowCurrencySuffix &&
+    !!token &&
+    token.type === "identifier" &&
+    token.value !== BASE_CURRENCY_TOKEN &&
+    !hasVariable(variables, token.value) &&
+    !(peek(1) && peek(1).type === "operator" && peek(1).value === "(");
+
+  // A unit name already consumed from the input, plus an optional exponent for physical units (`5 m^2`)
+  const parseUnitPower = (name) => {
+    if (!isPhysicalUnitName(name) && !resolveCurrencyName(name) && !isKnownCurrency(name)) {
+      throw createUnknownCurrencyError(name, knownCurrencyCodes);
     }
-    return node;
+    const unit = createUnit(name);
+    const exponent = peek(1);
+    if (isPhysicalUnitName(name) && exponent && exponent.type === "number" && matchOperator("^")) {
+      consume();
+      return powerUnit(unit, exponent.value);
+    }
+    return unit;
   };
 
-  const parseRange = () => {
-    let node = parseUnary();
-    while (matchOperator("~")) {
-      node = { type: "binary", operator: "~", left: node, right: parseUnary() };
+  const parseGroupCurrencySuffix = (node) => {
+    const next = peek();
+    if (isCurrencySuffix(next)) {
+      consume();
+      // Support grouped scalar expressions followed by a unit suffix, e.g. (60~115)pln.
+      // This is equivalent to multiplying the grouped value by a 1-unit literal.
+      return {
+        type: "binary",
+        operator: "*",
+        left: node,
+        right: createUnitLiteral(1, parseUnitPower(next.value)),
+      };
     }
     return node;
   };
 
-  const parseUnary = () => {
-    if (matchOperator("-")) return { type: "unary", operator: "-", value: parseUnary() };
-    return parsePrimary();
+  // Parse the argument list of name(...) after its opening parenthesis has been consumed
+  const parseCall = (name) => {
+    if (!isFunctionName(name)) throw new Error(`Unknown function '${name}'`);
+    const args = [];
+    if (!matchOperator(")")) {
+      do {
+        args.push(parseExpressionNode());
+      } while (matchOperator(","));
+      if (!matchOperator(")")) throw new Error(`Missing ')' after arguments of '${name}'`);
+    }
+    return { type: "call", name, args };
   };
 
   const parsePrimary = () => {
@@ -547,42 +1931,25 @@ function parseCurrencyExpressionTokens(tokens, options = {}) {
       consume();
       const node = parseExpressionNode();
       if (!matchOperator(")")) throw new Error("Mismatched parentheses in expression");
-      const next = peek();
-      if (
-        allowCurrencySuffix &&
-        next &&
-        next.type === "identifier" &&
-        next.value !== BASE_CURRENCY_TOKEN
-      ) {
-        consume();
-        // Support grouped scalar expressions followed by a currency suffix, e.g. (60~115)pln.
-        // This is equivalent to multiplying the grouped value by a 1-unit currency literal.
-        return {
-          type: "binary",
-          operator: "*",
-          left: node,
-          right: createMoneyLiteral(1, next.value),
-        };
-      }
-      return node;
+      return parseGroupCurrencySuffix(node);
     }
 
-    if (token.type === "money") {
+    if (token.type === "quantity") {
       consume();
-      return createMoneyLiteral(token.value, token.currency);
+      return createUnitLiteral(token.value, parseUnitPower(token.unit));
+    }
+
+    if (token.type === "date") {
+      consume();
+      return createUnitLiteral(parseDayNumber(token.value), DATE_UNIT);
     }
 
     if (token.type === "number") {
       consume();
       const next = peek();
-      if (
-        allowCurrencySuffix &&
-        next &&
-        next.type === "identifier" &&
-        next.value !== BASE_CURRENCY_TOKEN
-      ) {
+      if (isCurrencySuffix(next)) {
         consume();
-        return createMoneyLiteral(token.value, next.value);
+        return createUnitLiteral(token.value, parseUnitPower(next.value));
       }
       return createScalarLiteral(token.value);
     }
@@ -592,7 +1959,16 @@ function parseCurrencyExpressionTokens(tokens, options = {}) {
       if (allowBaseToken && token.value === BASE_CURRENCY_TOKEN) {
         return { type: "base" };
       }
-      throw new Error(`Unexpected identifier '${token.value}'`);
+      if (matchOperator("(")) return parseGroupCurrencySuffix(parseCall(token.value));
+      if (hasVariable(variables, token.value)) {
+        const value = lookupVariable(variables, token.value, sampleCount, random);
+        return parseGroupCurrencySuffix({ type: "variable", name: token.value, value });
+      }
+      // A bare unit stands for one of it, so `0.02 usd/GB` reads as `0.02usd / 1GB`
+      if (isPhysicalUnitName(token.value) || isKnownCurrency(token.value)) {
+        return createUnitLiteral(1, createUnit(token.value));
+      }
+      throw new Error(`Unknown variable '${token.value}'`);
     }
 
     throw new Error(`Unexpected token '${token.raw ?? token.type}'`);
@@ -606,15 +1982,177 @@ function parseCurrencyExpressionTokens(tokens, options = {}) {
   return parsed;
 }
 
-function buildCurrencyRateMap(customRates = null) {
+// --- Exchange rate uncertainty ---
+// A rate in `currencyRates` is a number, or uncertain: a 90% range ("3.8~4.2" or [3.8, 4.2], normal like
+// `~`) or { rate, volatility, years } (lognormal around `rate` with annualised volatility over `years`).
+// Rate maps hold numbers and uncertain rate specs; bindCurrencyRates turns the specs into scalar input leaves
+// drawn once per random source, so every conversion in an expression or worksheet shares one draw of
+// each rate and the rate shows up in steps and the sensitivity report. Rates combine along conversion
+// paths as numbers when exact, or as values with samples and dependencies.
+const rateLeafCache = new WeakMap();
+
+function parseRateSpec(from, to, rate) {
+  const key = `${from}->${to}`;
+  const positive = (value) => typeof value === "number" && isFinite(value) && value > 0;
+  if (typeof rate === "number") return positive(rate) ? rate : null;
+
+  let range = null;
+  if (typeof rate === "string") {
+    const parts = rate.split("~").map((part) => Number(part.trim()));
+    if (parts.length === 1) return positive(parts[0]) ? parts[0] : null;
+    if (parts.length === 2) range = parts;
+  } else if (Array.isArray(rate) && rate.length === 2) {
+    range = rate;
+  }
+
+  if (range) {
+    const [low, high] = [Math.min(...range), Math.max(...range)];
+    if (!positive(low) || !positive(high)) return null;
+    const mean = (low + high) / 2;
+    const stdDev = (high - low) / NORMAL_90_SPREAD;
+    const draw = (n, random) => generateSamples(mean, stdDev, n, random);
+    return { type: "rate", key, exponent: 1, mean, min: low, max: high, draw };
+  }
+
+  if (rate && typeof rate === "object" && positive(rate.rate) && typeof rate.volatility === "number" && rate.volatility >= 0) {
+    const years = positive(rate.years) ? rate.years : 1;
+    const sigma = rate.volatility * Math.sqrt(years);
+    // Mean-preserving lognormal: the expected rate stays `rate`
+    const at = (z) => rate.rate * Math.exp(sigma * z - (sigma * sigma) / 2);
+    const z90 = NORMAL_90_SPREAD / 2;
+    return {
+      type: "rate",
+      key,
+      exponent: 1,
+      mean: rate.rate,
+      min: at(-z90),
+      max: at(z90),
+      draw: (n, random) => Array.from({ length: n }, () => at(random.gaussian(0, 1))),
+    };
+  }
+  return null;
+}
+
+function isRateSpec(rate) {
+  return !!rate && typeof rate === "object" && rate.type === "rate";
+}
+
+function invertRateEntry(rate) {
+  if (typeof rate === "number") return 1 / rate;
+  return { ...rate, exponent: -rate.exponent, mean: 1 / rate.mean, min: 1 / rate.max, max: 1 / rate.min };
+}
+
+function getRateMean(rate) {
+  return typeof rate === "number" ? rate : rate.mean;
+}
+
+function toRateValue(rate) {
+  if (typeof rate !== "number") return rate;
+  return createExactDependencies({ mean: rate, min: rate, max: rate, samples: null });
+}
+
+// Rates are positive, so products and powers keep their bounds at the corners
+function multiplyRates(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a * b;
+  if (isRateSpec(a) || isRateSpec(b)) return getRateMean(a) * getRateMean(b);
+  const left = toRateValue(a);
+  const right = toRateValue(b);
+  const { inputs } = mergeValueInputs(left, right);
+  const sampleCount = (left.samples || right.samples || []).length;
+  return attachDependencies(
+    {
+      mean: left.mean * right.mean,
+      min: left.min * right.min,
+      max: left.max * right.max,
+      samples: operateSamples(left.samples ?? left.mean, right.samples ?? right.mean, "*", sampleCount),
+    },
+    inputs,
+    (point) => evaluateValueAt(left, point) * evaluateValueAt(right, point),
+  );
+}
+
+function powerRate(rate, exponent) {
+  if (typeof rate === "number") return rate ** exponent;
+  if (isRateSpec(rate)) return rate.mean ** exponent;
+  if (exponent === 1) return rate;
+  const bounds = [rate.min ** exponent, rate.max ** exponent];
+  return attachDependencies(
+    {
+      mean: rate.mean ** exponent,
+      min: Math.min(...bounds),
+      max: Math.max(...bounds),
+      samples: Array.isArray(rate.samples) ? rate.samples.map((value) => value ** exponent) : null,
+    },
+    getValueInputs(rate),
+    (point) => evaluateValueAt(rate, point) ** exponent,
+  );
+}
+
+// One leaf per uncertain rate, random source and sample count
+function getRateLeaf(spec, sampleCount, random) {
+  if (!rateLeafCache.has(random)) rateLeafCache.set(random, new Map());
+  const leaves = rateLeafCache.get(random);
+  const cacheKey = `${spec.key}:${sampleCount}`;
+  if (!leaves.has(cacheKey)) {
+    const forward = spec.exponent === 1 ? spec : invertRateEntry(spec);
+    const value = { mean: forward.mean, min: forward.min, max: forward.max, samples: forward.draw(sampleCount, random) };
+    leaves.set(cacheKey, createInputLeaf(value, `rate ${spec.key}`, random));
+  }
+  return leaves.get(cacheKey);
+}
+
+// The rate map an evaluation samples from; `usedRates` (a Map, optional) collects the uncertain rates
+// its conversions drew on, keyed by label
+function bindCurrencyRates(rates, sampleCount, random, usedRates = null) {
+  const bound = {};
+  let hasUncertainRates = false;
+  for (const [from, targets] of Object.entries(rates)) {
+    bound[from] = {};
+    for (const [to, rate] of Object.entries(targets)) {
+      if (isRateSpec(rate) && sampleCount > 0) {
+        hasUncertainRates = true;
+        bound[from][to] = powerRate(getRateLeaf(rate, sampleCount, random), rate.exponent);
+      } else {
+        bound[from][to] = isRateSpec(rate) ? rate.mean : rate;
+      }
+    }
+  }
+  if (!hasUncertainRates) return rates;
+  Object.defineProperty(bound, "usedRates", { value: usedRates });
+  return attachWorkCalendar(bound, getWorkCalendar(rates));
+}
+
+// Record the uncertain rates a conversion used, for the steps
+function noteUsedRates(rates, rate) {
+  if (!rates.usedRates || typeof rate === "number") return;
+  for (const input of Object.values(getValueInputs(rate))) {
+    if (input.label && input.label.startsWith("rate ")) rates.usedRates.set(input.label, input);
+  }
+}
+
+// Annualised volatility of a series of historical rates (oldest first): the standard deviation of the
+// log returns scaled by sqrt(periodsPerYear), ready for { rate, volatility, years }
+function getRateVolatility(history, options = {}) {
+  const periodsPerYear = options.periodsPerYear ?? 252;
+  const values = (history || []).filter((value) => typeof value === "number" && isFinite(value) && value > 0);
+  if (values.length < 3) throw new Error("Rate volatility needs at least three positive rates");
+  const returns = values.slice(1).map((value, index) => Math.log(value / values[index]));
+  const mean = returns.reduce((acc, value) => acc + value, 0) / returns.length;
+  const variance = returns.reduce((acc, value) => acc + (value - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * periodsPerYear);
+}
+
+function buildCurrencyRateMap(customRates = null, defaultRates = DEFAULT_CURRENCY_RATES) {
   const map = {};
 
   const addRate = (from, to, rate) => {
-    if (!from || !to || typeof rate !== "number" || !isFinite(rate) || rate <= 0) return;
+    if (!from || !to) return;
     const fromKey = from.toLowerCase();
     const toKey = to.toLowerCase();
+    const parsed = parseRateSpec(fromKey, toKey, rate);
+    if (parsed === null) return;
     if (!map[fromKey]) map[fromKey] = {};
-    map[fromKey][toKey] = rate;
+    map[fromKey][toKey] = parsed;
   };
 
   const addRateSet = (rateSet) => {
@@ -627,13 +2165,13 @@ function buildCurrencyRateMap(customRates = null) {
     }
   };
 
-  addRateSet(DEFAULT_CURRENCY_RATES);
+  addRateSet(defaultRates);
   addRateSet(customRates);
 
   for (const [from, targets] of Object.entries(map)) {
     for (const [to, rate] of Object.entries(targets)) {
       if (!map[to]) map[to] = {};
-      map[to][from] = 1 / rate;
+      map[to][from] = invertRateEntry(rate);
     }
   }
 
@@ -644,8 +2182,8 @@ function getCurrencyRate(fromCurrency, toCurrency, rates) {
   const from = fromCurrency.toLowerCase();
   const to = toCurrency.toLowerCase();
   if (from === to) return 1;
-  if (rates[from] && typeof rates[from][to] === "number") return rates[from][to];
-  if (rates[to] && typeof rates[to][from] === "number") return 1 / rates[to][from];
+  if (rates[from] && rates[from][to] !== undefined) return rates[from][to];
+  if (rates[to] && rates[to][from] !== undefined) return powerRate(rates[to][from], -1);
 
   // Fall back to graph traversal so currencies can be bridged through
   // intermediary rates (for example PLN->EUR->USD).
@@ -657,10 +2195,11 @@ function getCurrencyRate(fromCurrency, toCurrency, rates) {
     const neighbors = rates[current.currency] || {};
 
     for (const [nextCurrency, edgeRate] of Object.entries(neighbors)) {
-      if (typeof edgeRate !== "number" || !isFinite(edgeRate) || edgeRate <= 0) continue;
+      const edgeMean = getRateMean(edgeRate);
+      if (typeof edgeMean !== "number" || !isFinite(edgeMean) || edgeMean <= 0) continue;
       if (visited.has(nextCurrency)) continue;
 
-      const nextRate = current.cumulativeRate * edgeRate;
+      const nextRate = multiplyRates(current.cumulativeRate, edgeRate);
       if (nextCurrency === to) return nextRate;
 
       visited.add(nextCurrency);
@@ -671,134 +2210,465 @@ function getCurrencyRate(fromCurrency, toCurrency, rates) {
   throw new Error(`Missing exchange rate path for ${fromCurrency}->${toCurrency}`);
 }
 
-function convertLiteralCurrency(literal, targetCurrency, rates) {
-  if (!isLiteralNode(literal)) throw new Error("Cannot convert non-literal value");
-  if (literal.kind !== "money") throw new Error(`Cannot convert scalar value to ${targetCurrency}`);
-  const target = targetCurrency.toLowerCase();
-  if (literal.currency === target) return createMoneyLiteral(literal.value, target);
-  const rate = getCurrencyRate(literal.currency, target, rates);
-  return createMoneyLiteral(roundCurrencyValue(literal.value * rate), target);
+// FX rate providers are plain { name, load(options) } objects; load resolves to a rate snapshot
+// { source, base, rates, rateDate } where rates are units of each currency per one unit of base
+// (the shape of a Frankfurter response), and rejects when the provider has nothing to offer.
+// load({ date: "2024-03-01" }) asks for that day's rates, as used by `to eur on 2024-03-01`.
+// toCurrencyRates turns a snapshot into the currencyRates evaluation option.
+const FRANKFURTER_ENDPOINTS = ["https://api.frankfurter.dev/v1", "https://api.frankfurter.app"];
+const DEFAULT_FX_CACHE_KEY = "unsureCalcFx.v1";
+const MAX_CACHED_RATE_DATES = 60;
+const CURRENCY_CODE_REGEX = /^[A-Za-z]+$/;
+
+function getLocalDateStamp(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
 }
 
-function evaluateCurrencyUnary(node) {
-  if (node.operator !== "-") throw new Error(`Unsupported unary operator '${node.operator}'`);
-  if (!isLiteralNode(node.value)) throw new Error("Unary operator requires literal operand");
-  if (node.value.kind === "money") {
-    return createMoneyLiteral(roundCurrencyValue(-node.value.value), node.value.currency);
+function normalizeRateSnapshot(payload, source) {
+  if (!payload || typeof payload !== "object") throw new Error("Rates must be a JSON object");
+  let { base, rates } = payload;
+  // A calc-core rate map with a single base ({ "eur": { "usd": 1.08 } }) is accepted as well
+  if (base === undefined && rates === undefined) {
+    const entries = Object.entries(payload);
+    if (entries.length === 1) [base, rates] = entries[0];
   }
-  return createScalarLiteral(-node.value.value);
+  if (typeof base !== "string" || !CURRENCY_CODE_REGEX.test(base)) throw new Error("Rates have no base currency");
+
+  const baseCode = base.toUpperCase();
+  const normalized = {};
+  for (const [code, rate] of Object.entries(rates && typeof rates === "object" ? rates : {})) {
+    const upper = code.toUpperCase();
+    if (upper === baseCode || !CURRENCY_CODE_REGEX.test(code)) continue;
+    if (typeof rate === "number" && isFinite(rate) && rate > 0) normalized[upper] = rate;
+  }
+  if (Object.keys(normalized).length === 0) throw new Error(`No usable ${baseCode} rates`);
+
+  const rateDate = [payload.date, payload.rateDate].find((value) => typeof value === "string") || getLocalDateStamp();
+  return { source, base: baseCode, rates: normalized, rateDate };
 }
 
-function evaluateCurrencyBinary(node, rates) {
-  if (!isLiteralNode(node.left) || !isLiteralNode(node.right)) {
-    throw new Error(`Operator '${node.operator}' requires literal operands`);
+function rebaseRateSnapshot(snapshot, base) {
+  const target = base.toUpperCase();
+  if (target === snapshot.base) return snapshot;
+  const pivot = snapshot.rates[target];
+  if (!pivot) throw new Error(`Missing ${snapshot.base}/${target} rate to rebase ${snapshot.source} rates`);
+
+  const rates = { [snapshot.base]: 1 / pivot };
+  for (const [code, rate] of Object.entries(snapshot.rates)) {
+    if (code !== target) rates[code] = rate / pivot;
   }
+  return { ...snapshot, base: target, rates };
+}
 
-  const left = node.left;
-  const right = node.right;
-  const op = node.operator;
+function toCurrencyRates(snapshot) {
+  const rates = {};
+  for (const [code, rate] of Object.entries(snapshot.rates)) rates[code.toLowerCase()] = rate;
+  return { [snapshot.base.toLowerCase()]: rates };
+}
 
-  if (op === "~") {
-    if (left.kind !== "scalar" || right.kind !== "scalar") {
-      throw new Error("Range operator '~' supports scalar values only");
-    }
-    return createScalarLiteral((left.value + right.value) / 2);
+// Dates named by `on <date>` in an expression or worksheet, so their rates can be loaded before evaluating
+function getRateDates(source) {
+  const dates = new Set();
+  for (const match of String(source ?? "").matchAll(/\bon\s+(\d{4}-\d{2}-\d{2})\b/gi)) dates.add(match[1]);
+  return [...dates];
+}
+
+function resolveFetch(options) {
+  if (typeof options.fetch === "function") return options.fetch;
+  if (typeof fetch !== "function") throw new Error("fetch is not available; pass { fetch } to the rate provider");
+  return (...args) => fetch(...args);
+}
+
+async function fetchRateJson(fetchImpl, url, forceRefresh) {
+  const requestUrl = forceRefresh ? `${url}${url.includes("?") ? "&" : "?"}t=${Date.now()}` : url;
+  const response = await fetchImpl(requestUrl, { cache: forceRefresh ? "reload" : "no-store" });
+  if (!response.ok) throw new Error(`${url} HTTP ${response.status}`);
+  return response.json();
+}
+
+function createFrankfurterRateProvider(options = {}) {
+  const base = (options.base || "EUR").toUpperCase();
+  const symbols = (options.symbols || []).map((code) => code.toUpperCase()).filter((code) => code !== base);
+  const endpoints = options.endpoints || FRANKFURTER_ENDPOINTS;
+  const query = `base=${encodeURIComponent(base)}${symbols.length > 0 ? `&symbols=${symbols.join(",")}` : ""}`;
+  const name = options.name || "frankfurter";
+
+  return {
+    name,
+    async load(loadOptions = {}) {
+      const fetchImpl = resolveFetch(options);
+      let lastError = null;
+      // Mirrors are tried in order; the first usable response wins
+      for (const endpoint of endpoints) {
+        try {
+          const url = `${endpoint}/${loadOptions.date || "latest"}?${query}`;
+          const payload = await fetchRateJson(fetchImpl, url, loadOptions.forceRefresh === true);
+          return normalizeRateSnapshot(payload, name);
+        } catch (error) {
+          lastError = error;
+        }
+      }
+      throw lastError || new Error("No Frankfurter endpoints configured");
+    },
+  };
+}
+
+// Rates from a JSON document: an object, or a URL to fetch it from. It only answers a dated
+// request when the document carries that date.
+function createStaticRateProvider(source, options = {}) {
+  const name = options.name || "static";
+  return {
+    name,
+    async load(loadOptions = {}) {
+      const payload =
+        typeof source === "string"
+          ? await fetchRateJson(resolveFetch(options), source, loadOptions.forceRefresh === true)
+          : source;
+      const snapshot = normalizeRateSnapshot(payload, name);
+      if (loadOptions.date && snapshot.rateDate !== loadOptions.date) throw new Error(`No rates for ${loadOptions.date}`);
+      return snapshot;
+    },
+  };
+}
+
+// Rates typed in by the user; load rejects until at least one rate is set (and for dated requests),
+// so a chain falls through.
+function createManualRateProvider(base, rates = {}, options = {}) {
+  const entered = {};
+  const provider = {
+    name: options.name || "manual",
+    base: base.toUpperCase(),
+    setRate(code, rate) {
+      if (typeof rate !== "number" || !isFinite(rate) || rate <= 0) {
+        throw new Error(`Rate for ${code} must be a positive number`);
+      }
+      entered[code.toUpperCase()] = rate;
+    },
+    removeRate(code) {
+      delete entered[code.toUpperCase()];
+    },
+    getRates() {
+      return { ...entered };
+    },
+    async load(loadOptions = {}) {
+      if (loadOptions.date) throw new Error(`No rates for ${loadOptions.date}`);
+      return normalizeRateSnapshot({ base: provider.base, rates: entered }, provider.name);
+    },
+  };
+  for (const [code, rate] of Object.entries(rates)) provider.setRate(code, rate);
+  return provider;
+}
+
+function readCachedRates(storage, key) {
+  try {
+    const parsed = JSON.parse(storage.getItem(key));
+    if (!parsed || typeof parsed.day !== "string") return null;
+    // Caches written before providers existed hold EUR-based rates without a base
+    const snapshot = normalizeRateSnapshot({ base: "EUR", ...parsed }, parsed.source || "cache");
+    return { ...snapshot, day: parsed.day, cached: true };
+  } catch {
+    return null;
   }
+}
 
-  if (op === "+" || op === "-") {
-    if (left.kind === "scalar" && right.kind === "scalar") {
-      return createScalarLiteral(op === "+" ? left.value + right.value : left.value - right.value);
+function readCachedRateHistory(storage, key) {
+  const history = {};
+  try {
+    for (const [date, entry] of Object.entries(JSON.parse(storage.getItem(key)) || {})) {
+      history[date] = normalizeRateSnapshot(entry, entry.source || "cache");
     }
-    if (left.kind === "money" && right.kind === "money") {
-      const rightInLeftCurrency =
-        right.currency === left.currency ? right : convertLiteralCurrency(right, left.currency, rates);
-      const resultValue = op === "+" ? left.value + rightInLeftCurrency.value : left.value - rightInLeftCurrency.value;
-      return createMoneyLiteral(roundCurrencyValue(resultValue), left.currency);
-    }
-    throw new Error(`Cannot ${op === "+" ? "add" : "subtract"} scalar and currency values`);
+  } catch {
+    // An unreadable history is refetched date by date
   }
+  return history;
+}
 
-  if (op === "*") {
-    if (left.kind === "scalar" && right.kind === "scalar") {
-      return createScalarLiteral(left.value * right.value);
-    }
-    if (left.kind === "money" && right.kind === "scalar") {
-      return createMoneyLiteral(roundCurrencyValue(left.value * right.value), left.currency);
-    }
-    if (left.kind === "scalar" && right.kind === "money") {
-      return createMoneyLiteral(roundCurrencyValue(left.value * right.value), right.currency);
-    }
-    throw new Error("Multiplying two currency values is not supported");
+function writeCachedRates(storage, key, value) {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch {
+    // A full or blocked store only costs the next load a fetch
   }
+}
 
-  if (op === "/") {
-    if (left.kind === "scalar" && right.kind === "scalar") {
-      return createScalarLiteral(right.value === 0 ? NaN : left.value / right.value);
+// Keeps the wrapped provider's snapshot in a localStorage-like store ({ getItem, setItem }) for a local day.
+// Today's snapshot is reused unless forceRefresh is set; an older one still answers when the provider fails.
+// Dated snapshots never change, so they are kept by date under `${key}.dates` (the most recent
+// MAX_CACHED_RATE_DATES of them).
+function createCachedRateProvider(provider, options = {}) {
+  const storage = options.storage || null;
+  const key = options.key || DEFAULT_FX_CACHE_KEY;
+  const historyKey = `${key}.dates`;
+  const today = options.today || getLocalDateStamp;
+
+  async function loadDated(loadOptions) {
+    const history = storage ? readCachedRateHistory(storage, historyKey) : {};
+    const cached = history[loadOptions.date];
+    if (cached && loadOptions.forceRefresh !== true) return { ...cached, cached: true };
+
+    const snapshot = await provider.load(loadOptions);
+    if (storage) {
+      delete history[loadOptions.date];
+      const entries = Object.entries({ ...history, [loadOptions.date]: snapshot }).slice(-MAX_CACHED_RATE_DATES);
+      writeCachedRates(storage, historyKey, Object.fromEntries(entries));
     }
-    if (left.kind === "money" && right.kind === "scalar") {
-      return createMoneyLiteral(roundCurrencyValue(right.value === 0 ? NaN : left.value / right.value), left.currency);
-    }
-    if (left.kind === "money" && right.kind === "money") {
-      return createScalarLiteral(right.value === 0 ? NaN : left.value / right.value);
-    }
-    throw new Error("Cannot divide scalar by a currency value");
+    return snapshot;
   }
 
-  if (op === "^") {
-    if (left.kind === "scalar" && right.kind === "scalar") {
-      return createScalarLiteral(Math.pow(left.value, right.value));
-    }
-    if (left.kind === "money" && right.kind === "scalar") {
-      return createMoneyLiteral(roundCurrencyValue(Math.pow(left.value, right.value)), left.currency);
-    }
-    throw new Error("Power is supported for scalar^scalar or money^scalar only");
+  return {
+    name: options.name || provider.name,
+    async load(loadOptions = {}) {
+      if (loadOptions.date) return loadDated(loadOptions);
+      const day = today();
+      const cached = storage ? readCachedRates(storage, key) : null;
+      if (cached && cached.day === day && loadOptions.forceRefresh !== true) return cached;
+
+      try {
+        const snapshot = await provider.load(loadOptions);
+        if (storage) writeCachedRates(storage, key, { ...snapshot, day, fetchedAt: new Date().toISOString() });
+        return snapshot;
+      } catch (error) {
+        if (cached) return { ...cached, error: error.message };
+        throw error;
+      }
+    },
+  };
+}
+
+// Tries providers in priority order and resolves with the first snapshot; the failures before it
+// are listed in its `errors`.
+function createRateProviderChain(providers, options = {}) {
+  return {
+    name: options.name || "chain",
+    async load(loadOptions = {}) {
+      const errors = [];
+      for (const provider of providers) {
+        try {
+          const snapshot = await provider.load(loadOptions);
+          return errors.length > 0 ? { ...snapshot, errors } : snapshot;
+        } catch (error) {
+          errors.push(`${provider.name}: ${error.message}`);
+        }
+      }
+      throw new Error(`No FX rates available (${errors.join("; ") || "no providers"})`);
+    },
+  };
+}
+
+function convertLiteralUnit(literal, targetUnit, rates) {
+  if (!isLiteralNode(literal)) throw new Error("Cannot convert non-literal value");
+  if (unitsEqual(literal.unit, targetUnit)) return createUnitLiteral(literal.value, targetUnit);
+  const factor = getUnitConversionFactor(literal.unit, targetUnit, rates);
+  return createUnitLiteral(roundUnitAmount(literal.value * factor, targetUnit), targetUnit);
+}
+
+function evaluateCurrencyUnary(node) {
+  if (node.operator !== "-" && node.operator !== "%") throw new Error(`Unsupported unary operator '${node.operator}'`);
+  if (!isLiteralNode(node.value)) throw new Error("Unary operator requires literal operand");
+  if (node.operator === "%") return createLiteralFromValue(toPercentValue(createCurrencyValueFromLiteral(node.value)));
+  const literal = createUnitLiteral(roundUnitAmount(-node.value.value, node.value.unit), node.value.unit);
+  if (node.value.components) {
+    literal.components = mapValues(node.value.components, (amount) => (amount === 0 ? 0 : -amount));
+  }
+  if (node.value.percent) literal.percent = true;
+  return literal;
+}
+
+// A range takes the unit of whichever bound carries one, so `40~60 usd` reads as `(40~60)usd`
+function getRangeUnit(left, right) {
+  if (!isDimensionless(left.unit) && !isDimensionless(right.unit)) {
+    if (!unitsEqual(left.unit, right.unit)) throw new Error("Range bounds must use the same unit");
+    return left.unit;
   }
+  return isDimensionless(left.unit) ? right.unit : left.unit;
+}
+
+// Literal steps share the operator rules of the sampled evaluation, applied to exact operands
+function evaluateCurrencyBinary(node, rates) {
+  if (!isLiteralNode(node.left) || !isLiteralNode(node.right)) {
+    throw new Error(`Operator '${node.operator}' requires literal operands`);
+  }
+  const left = createCurrencyValueFromLiteral(node.left);
+  const right = createCurrencyValueFromLiteral(node.right);
+  const bag = evaluateMoneyBagOperation(node.operator, left, right, rates, 0);
+  if (bag) return createLiteralFromValue(bag);
+  const total = (value) => toMoneyBagTotal(value, rates, 0);
+  return createLiteralFromValue(evaluateCurrencyBinaryWithUncertainty(node.operator, total(left), total(right), rates, 0));
+}
 
-  throw new Error(`Unsupported operator '${op}'`);
+// Collapse a call with literal arguments to its point estimate (the distribution mean or function value)
+function evaluateCurrencyCall(node, rates) {
+  const args = node.args.map((arg) => toMoneyBagTotal(createCurrencyValueFromLiteral(arg), rates, 0));
+  if (isMathFunctionName(node.name)) {
+    const value = evaluateCurrencyMathFunction(node.name, args, rates, 0);
+    return createUnitLiteral(value.mean, value.unit);
+  }
+  if (isSampleQueryName(node.name)) return createLiteralFromValue(evaluateCurrencySampleQuery(node.name, args));
+  // Literal steps only see exact arguments, which have no samples to correlate
+  if (isCorrelationName(node.name)) throw new Error("'corr' needs uncertain inputs such as ranges, not exact values");
+  if (node.args.some((arg) => arg.kind !== "scalar")) {
+    throw new Error(`Arguments for '${node.name}' must be scalar values`);
+  }
+  const value = createDistributionValue(node.name, node.args.map((arg) => arg.value), 0);
+  return createScalarLiteral(value.mean);
 }
 
-function createCurrencyValue(kind, mean, min, max, samples = null, currency = null) {
-  if (kind === "money") {
-    return { kind, currency, mean, min, max, samples };
+// Math functions on values with units: unit-preserving functions accept them (converted to the
+// first argument's unit), everything else needs scalars. Parameters listed in `exactArgs`
+// (round's digits) are always scalars.
+function evaluateCurrencyMathFunction(name, args, rates, sampleCount) {
+  const fn = MATH_FUNCTIONS[name.toLowerCase()];
+  const scalarOnly = new Set(fn.exactArgs || []);
+  const valueArgs = args.filter((_, index) => !scalarOnly.has(index));
+  const unit = (valueArgs.find((arg) => !isDimensionless(arg.unit)) || {}).unit || {};
+
+  if (args.some((arg, index) => !isDimensionless(arg.unit) && scalarOnly.has(index))) {
+    throw new Error(`Argument ${[...scalarOnly][0] + 1} of '${name}' must be a scalar`);
+  }
+  if (!isDimensionless(unit) && !fn.preservesUnit) throw new Error(`Function '${name}' supports scalar values only`);
+  if (!isDimensionless(unit) && valueArgs.some((arg) => isDimensionless(arg.unit))) {
+    throw new Error(`Function '${name}' cannot mix scalar values and values with units`);
   }
-  return { kind, mean, min, max, samples };
+
+  const converted = args.map((arg, index) => (scalarOnly.has(index) ? arg : convertCurrencyValue(arg, unit, rates, sampleCount)));
+  const value = evaluateMathFunction(name, converted, sampleCount);
+  return attachDependencies(
+    createRoundedUnitValue(unit, value.mean, value.min, value.max, value.samples),
+    value.inputs,
+    (point) => roundUnitAmount(value.evaluateAt(point), unit),
+  );
+}
+
+// Query functions keep the unit of their argument (a percentile of a cost is a cost, of a percentage a percentage); P() keeps the probability
+function evaluateCurrencySampleQuery(name, args) {
+  const amount = evaluateSampleQuery(name, args);
+  if (name.toLowerCase() === "p") return markProbability(createUnitValue({}, amount, amount, amount));
+  const unit = args[0].unit;
+  const rounded = roundUnitAmount(amount, unit);
+  const value = createUnitValue(unit, rounded, rounded, rounded);
+  return createExactDependencies(args[0].percent ? markPercent(value) : value);
+}
+
+function createUnitValue(unit, mean, min, max, samples = null) {
+  const kind = getUnitKind(unit);
+  if (kind === "scalar") return { kind, unit: {}, mean, min, max, samples };
+  if (kind === "money") return { kind, unit: { ...unit }, currency: getUnitCurrency(unit), mean, min, max, samples };
+  return { kind, unit: { ...unit }, mean, min, max, samples };
+}
+
+// Amounts of money are kept in cents; every other unit keeps full precision
+function createRoundedUnitValue(unit, mean, min, max, samples = null) {
+  const round = (value) => roundUnitAmount(value, unit);
+  return createUnitValue(unit, round(mean), round(min), round(max), Array.isArray(samples) ? samples.map(round) : null);
 }
 
 function cloneCurrencyValue(value) {
-  return createCurrencyValue(
-    value.kind,
+  const clone = createUnitValue(
+    value.unit,
     value.mean,
     value.min,
     value.max,
     Array.isArray(value.samples) ? [...value.samples] : null,
-    value.kind === "money" ? value.currency : null,
   );
+  return value.evaluateAt ? attachDependencies(clone, getValueInputs(value), value.evaluateAt) : clone;
+}
+
+// Exact value in the same unit as `value`, fixed at `amount`
+function createExactCurrencyValue(value, amount) {
+  const exact = createUnitValue(value.unit, amount, amount, amount, null);
+  return value.percent ? markPercent(exact) : exact;
+}
+
+// Bindings supplied without dependency info become leaves once per random source, so repeated references
+// share an identity
+const externalVariableLeaves = new WeakMap();
+
+// Accept plain numbers, UncertainValues and values with a `unit` (map or text) or `currency` as variable bindings
+function normalizeVariableValue(name, value, random) {
+  if (typeof value === "number") return createExactDependencies(createUnitValue({}, value, value, value));
+  if (!value || typeof value !== "object" || typeof value.mean !== "number") {
+    throw new Error(`Variable '${name}' must be a number or an evaluated value`);
+  }
+  const samples = Array.isArray(value.samples) ? value.samples : null;
+  const min = typeof value.min === "number" ? value.min : value.mean;
+  const max = typeof value.max === "number" ? value.max : value.mean;
+  let unit = {};
+  if (value.unit && typeof value.unit === "object") unit = value.unit;
+  else if (value.unit) unit = parseUnitText(value.unit);
+  else if (value.currency) unit = createUnit(value.currency);
+  const normalized = createUnitValue(unit, value.mean, min, max, samples);
+  if (Array.isArray(value.components)) {
+    const parts = value.components.map((part) => [part.currency, normalizeVariableValue(name, part, random)]);
+    normalized.components = Object.fromEntries(parts);
+  }
+  if (value.percent) markPercent(normalized);
+
+  if (value.evaluateAt) return attachDependencies(normalized, getValueInputs(value), value.evaluateAt);
+  if (!samples) return createExactDependencies(normalized);
+  if (!externalVariableLeaves.has(random)) externalVariableLeaves.set(random, new WeakMap());
+  const leaves = externalVariableLeaves.get(random);
+  if (!leaves.has(value)) leaves.set(value, createInputLeaf({ min, max, mean: value.mean, samples }, name, random));
+  const leaf = leaves.get(value);
+  return attachDependencies(normalized, leaf.inputs, leaf.evaluateAt);
+}
+
+function hasVariable(variables, name) {
+  return !!variables && Object.prototype.hasOwnProperty.call(variables, name);
+}
+
+function lookupVariable(variables, name, sampleCount, random) {
+  if (!hasVariable(variables, name)) throw new Error(`Unknown variable '${name}'`);
+  const value = normalizeVariableValue(name, variables[name], random);
+  if (value.samples && value.samples.length !== sampleCount) {
+    throw new Error(
+      `Variable '${name}' has ${value.samples.length} samples but the expression uses ${sampleCount}`,
+    );
+  }
+  return value;
 }
 
 function createCurrencyValueFromLiteral(literal) {
-  if (literal.kind === "money") {
-    return createCurrencyValue("money", literal.value, literal.value, literal.value, null, literal.currency);
+  const value = createUnitValue(literal.unit, literal.value, literal.value, literal.value);
+  if (literal.components) {
+    const parts = Object.entries(literal.components).map(([code, amount]) => [
+      code,
+      createCurrencyValueFromLiteral(createUnitLiteral(amount, createUnit(code))),
+    ]);
+    value.components = Object.fromEntries(parts);
   }
-  return createCurrencyValue("scalar", literal.value, literal.value, literal.value);
+  return createExactDependencies(copyValueFlags(literal, value));
 }
 
-function convertCurrencyValue(value, targetCurrency, rates) {
-  if (value.kind !== "money") throw new Error(`Cannot convert scalar value to ${targetCurrency}`);
-  const target = targetCurrency.toLowerCase();
-  if (value.currency === target) return cloneCurrencyValue(value);
+// Convert to `targetUnit` (a unit map or a currency code) through static scales and exchange rates
+// With an uncertain rate the conversion multiplies sample by sample and depends on the rate as an input;
+// point evaluations (sampleCount 0) convert at the mean rate.
+function convertCurrencyValue(value, targetUnit, rates, sampleCount = null) {
+  const target = typeof targetUnit === "string" ? createUnit(targetUnit) : targetUnit;
+  if (unitsEqual(value.unit, target)) return cloneCurrencyValue(value);
 
-  const rate = getCurrencyRate(value.currency, target, rates);
-  const convertAmount = (amount) => roundCurrencyValue(amount * rate);
+  const rate = getUnitConversionRate(value.unit, target, rates);
+  if (typeof rate !== "number" && sampleCount !== 0 && Array.isArray(rate.samples) && rate.samples.length > 0) {
+    return convertWithUncertainRate(value, target, rate, rates);
+  }
+
+  const factor = getRateMean(rate);
+  const convertAmount = (amount) => roundUnitAmount(amount * factor, target);
   const convertedMin = convertAmount(value.min);
   const convertedMax = convertAmount(value.max);
 
-  return createCurrencyValue(
-    "money",
-    convertAmount(value.mean),
-    Math.min(convertedMin, convertedMax),
-    Math.max(convertedMin, convertedMax),
-    Array.isArray(value.samples) ? value.samples.map(convertAmount) : null,
-    target,
+  return attachDependencies(
+    createUnitValue(
+      target,
+      convertAmount(value.mean),
+      Math.min(convertedMin, convertedMax),
+      Math.max(convertedMin, convertedMax),
+      Array.isArray(value.samples) ? value.samples.map(convertAmount) : null,
+    ),
+    getValueInputs(value),
+    (point) => convertAmount(evaluateValueAt(value, point)),
   );
 }
 
@@ -812,156 +2682,424 @@ function getPowBounds(aMin, aMax, bMin, bMax) {
   return { min: Math.min(...powers), max: Math.max(...powers) };
 }
 
-function getDivBounds(aMin, aMax, bMin, bMax) {
-  if (bMin <= 0 && bMax >= 0) {
-    if (bMin === 0 && bMax === 0) return { min: NaN, max: NaN };
-    if (aMin === 0 && aMax === 0) return { min: 0, max: 0 };
-    return { min: -Infinity, max: Infinity };
+function getDivBounds(aMin, aMax, bMin, bMax) {
+  if (bMin <= 0 && bMax >= 0) {
+    if (bMin === 0 && bMax === 0) return { min: NaN, max: NaN };
+    if (aMin === 0 && aMax === 0) return { min: 0, max: 0 };
+    return { min: -Infinity, max: Infinity };
+  }
+  const quotients = [aMin / bMin, aMin / bMax, aMax / bMin, aMax / bMax];
+  return { min: Math.min(...quotients), max: Math.max(...quotients) };
+}
+
+function convertWithUncertainRate(value, target, rate, rates) {
+  noteUsedRates(rates, rate);
+  const round = (amount) => roundUnitAmount(amount, target);
+  const bounds = getMulBounds(value.min, value.max, rate.min, rate.max);
+  const samples = operateSamples(value.samples ?? value.mean, rate.samples, "*", rate.samples.length).map(round);
+  const { inputs, shared } = mergeValueInputs(value, rate);
+  const evaluateAt = (point) => round(evaluateValueAt(value, point) * evaluateValueAt(rate, point));
+  const dependentBounds = shared ? getDependentBounds(evaluateAt, inputs) : null;
+  return attachDependencies(
+    createUnitValue(
+      target,
+      round(value.mean * rate.mean),
+      dependentBounds ? dependentBounds.min : round(bounds.min),
+      dependentBounds ? dependentBounds.max : round(bounds.max),
+      samples,
+    ),
+    inputs,
+    evaluateAt,
+  );
+}
+
+// Before multiplying or dividing, express units of `right` in the units `left` already uses for the same
+// kind of quantity, so `30 min * 60 km/h` cancels to km and `10eur / 5pln` is a plain ratio.
+function alignUnitsForProduct(left, right, rates, sampleCount = null) {
+  const sameKind = (a, b) => unitsEqual(getUnitDimension({ [a]: 1 }), getUnitDimension({ [b]: 1 }));
+  let target = {};
+  for (const [name, exponent] of Object.entries(right.unit)) {
+    const match = Object.keys(left.unit).find((leftName) => leftName !== name && sameKind(leftName, name));
+    target = combineUnits(target, { [match || name]: exponent });
+  }
+  return convertCurrencyValue(right, target, rates, sampleCount);
+}
+
+// --- Percentages ---
+// `23%` is the fraction 0.23 flagged `percent`, shown times 100 with a % sign. The flag survives negation,
+// ranges and sums of percentages; other arithmetic uses the plain fraction (`100eur * 23%` is 23eur).
+function markPercent(value) {
+  value.percent = true;
+  return value;
+}
+
+// `15%` and `(a / b)%`: a plain number read as hundredths
+function toPercentValue(value) {
+  if (!isDimensionless(value.unit)) throw new Error("'%' applies to plain numbers, e.g. 23%");
+  const scale = (amount) => amount / 100;
+  const samples = Array.isArray(value.samples) ? value.samples.map(scale) : null;
+  const percent = createUnitValue({}, scale(value.mean), scale(value.min), scale(value.max), samples);
+  return markPercent(attachDependencies(percent, getValueInputs(value), (point) => scale(evaluateValueAt(value, point))));
+}
+
+function withoutPercent(value) {
+  return value.percent ? createUnitValue(value.unit, value.mean, value.min, value.max, value.samples) : value;
+}
+
+// Result of an operator involving a percentage, or null when neither operand is one. Adding or subtracting
+// a percentage changes the value on its left by that share: `100eur + 23%` is 123eur, `200 - 10%` is 180.
+// A plain bound next to a percentage in a range is one too (`10~15%`), and `x as % of y` is x / y.
+function evaluatePercentOperation(operator, left, right, rates, sampleCount, random) {
+  const evaluate = (op, a, b) => evaluateCurrencyBinaryWithUncertainty(op, a, b, rates, sampleCount, random);
+  if (operator === "as % of") {
+    const ratio = evaluate("/", withoutPercent(left), withoutPercent(right));
+    if (!isDimensionless(ratio.unit)) {
+      throw new Error(`Cannot express ${describeUnit(left.unit)} as a percentage of ${describeUnit(right.unit)}`);
+    }
+    return markPercent(ratio);
+  }
+  if (!left.percent && !right.percent) return null;
+
+  if (operator === "~") {
+    const toFraction = (value) => {
+      if (value.percent || !isDimensionless(value.unit)) return withoutPercent(value);
+      return createUnitValue({}, value.mean / 100, value.min / 100, value.max / 100, value.samples);
+    };
+    return markPercent(evaluate("~", toFraction(left), toFraction(right)));
+  }
+  if (operator === "+" || operator === "-") {
+    if (left.percent && right.percent) return markPercent(evaluate(operator, withoutPercent(left), withoutPercent(right)));
+    if (left.percent) {
+      throw new Error(`A percentage changes the value on its left: write '100 ${operator} 5%', not '5% ${operator} 100'`);
+    }
+    const factor = evaluate(operator, createUnitValue({}, 1, 1, 1), withoutPercent(right));
+    return evaluate("*", left, factor);
+  }
+  return evaluate(operator, withoutPercent(left), withoutPercent(right));
+}
+
+// --- Dates ---
+// A date is a day number (days since 1970-01-01, UTC) in the `date` unit, shown as YYYY-MM-DD. Durations
+// move it: time units by their length in days (`+ 36h` is a day and a half), workdays by the business days
+// of the work calendar. Two dates subtract to the days between them; comparisons and ranges of dates work
+// like any other unit.
+const DATE_UNIT = { date: 1 };
+const DAY_MS = 86400000;
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+// Longest shift addWorkdays walks, about four centuries
+const MAX_WORKDAYS = 100000;
+
+function parseDayNumber(isoDate) {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+// A fraction of a day still reads as that day
+function formatDayNumber(day) {
+  if (isNaN(day) || !isFinite(day)) return formatNumber(day);
+  return new Date(Math.floor(day) * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Work calendar from `options.calendar`: `weekend` lists weekday names or numbers (0 is Sunday; Saturday
+// and Sunday by default) and `holidays` the YYYY-MM-DD dates that are off as well
+function createWorkCalendar(source = null) {
+  const weekend = new Set(
+    ((source && source.weekend) || ["sat", "sun"]).map((day) => {
+      const index = typeof day === "number" ? day : WEEKDAY_NAMES.indexOf(String(day).trim().slice(0, 3).toLowerCase());
+      if (!Number.isInteger(index) || index < 0 || index > 6) throw new Error(`Unknown weekday '${day}' in calendar`);
+      return index;
+    }),
+  );
+  if (weekend.size === 7) throw new Error("A work calendar needs at least one working day");
+  const holidays = new Set(
+    ((source && source.holidays) || []).map((holiday) => {
+      const text = String(holiday).trim();
+      if (parseIsoDate(text) !== text) throw new Error(`Expected calendar holidays as YYYY-MM-DD, got '${holiday}'`);
+      return parseDayNumber(text);
+    }),
+  );
+  return { weekend, holidays };
+}
+
+const DEFAULT_WORK_CALENDAR = createWorkCalendar();
+
+// The calendar travels with the rate map of an expression, so every operation that sees rates sees it too
+function attachWorkCalendar(rates, calendar) {
+  Object.defineProperty(rates, "calendar", { value: calendar, configurable: true });
+  return rates;
+}
+
+function getWorkCalendar(rates) {
+  return (rates && rates.calendar) || DEFAULT_WORK_CALENDAR;
+}
+
+function isWorkday(day, calendar) {
+  // Day 0 was a Thursday
+  const weekday = (((day + 4) % 7) + 7) % 7;
+  return !calendar.weekend.has(weekday) && !calendar.holidays.has(day);
+}
+
+// The date `workdays` business days after `day` (before it when negative), counting from the next day. Part
+// of a workday takes the whole day.
+function addWorkdays(day, workdays, calendar) {
+  if (isNaN(day) || isNaN(workdays) || !isFinite(day) || !isFinite(workdays)) return NaN;
+  if (Math.abs(workdays) > MAX_WORKDAYS) throw new Error(`Cannot shift a date by more than ${MAX_WORKDAYS} workdays`);
+  const step = workdays < 0 ? -1 : 1;
+  let current = Math.floor(day);
+  let remaining = Math.ceil(Math.abs(workdays) - 1e-9);
+  while (remaining > 0) {
+    current += step;
+    if (isWorkday(current, calendar)) remaining--;
+  }
+  return current;
+}
+
+// Workdays move each sample on its own; a later start or more workdays never finish earlier, so the bounds
+// come from the corners
+function shiftByWorkdays(date, workdays, sign, calendar) {
+  const shift = (day, count) => addWorkdays(day, sign * count, calendar);
+  const sampled = date.samples || workdays.samples;
+  const samples = sampled
+    ? sampled.map((_, i) =>
+        shift(date.samples ? date.samples[i] : date.mean, workdays.samples ? workdays.samples[i] : workdays.mean),
+      )
+    : null;
+  const corners = [date.min, date.max].flatMap((day) => [shift(day, workdays.min), shift(day, workdays.max)]);
+  return createUnitValue(DATE_UNIT, shift(date.mean, workdays.mean), Math.min(...corners), Math.max(...corners), samples);
+}
+
+// Result of an operator involving a date, or null when neither operand is one or the operator treats dates
+// like any unit (`~`, comparisons)
+function evaluateDateOperation(operator, left, right, rates, sampleCount, random) {
+  const leftIsDate = isDateUnit(left.unit);
+  const rightIsDate = isDateUnit(right.unit);
+  if ((!leftIsDate && !rightIsDate) || operator === "~" || isComparisonOperator(operator)) return null;
+  const retype = (value, unit) => createUnitValue(unit, value.mean, value.min, value.max, value.samples);
+  const evaluatePlain = (a, b) =>
+    evaluateCurrencyBinaryWithUncertainty(operator, retype(a, {}), retype(b, {}), rates, sampleCount, random);
+
+  if (leftIsDate && rightIsDate) {
+    if (operator !== "-") throw new Error(`Cannot combine two dates with '${operator}'; subtract them for the days between`);
+    return retype(evaluatePlain(left, right), { day: 1 });
+  }
+  const date = leftIsDate ? left : right;
+  const duration = leftIsDate ? right : left;
+  if (operator !== "+" && !(operator === "-" && leftIsDate)) {
+    throw new Error(`Cannot apply '${operator}' to a date; add or subtract a duration, e.g. 2026-11-01 + 3 days`);
+  }
+  if (unitsEqual(duration.unit, { workday: 1 })) {
+    return shiftByWorkdays(date, duration, operator === "-" ? -1 : 1, getWorkCalendar(rates));
+  }
+  if (!haveSameDimension(duration.unit, { day: 1 })) {
+    throw new Error(`Cannot add ${describeUnit(duration.unit)} to a date; use a duration such as 3 days, 2w or 10 workdays`);
+  }
+  const days = convertCurrencyValue(duration, { day: 1 }, rates, sampleCount);
+  return retype(leftIsDate ? evaluatePlain(date, days) : evaluatePlain(days, date), DATE_UNIT);
+}
+
+function evaluateCurrencyBinaryWithUncertainty(operator, left, right, rates, sampleCount, random) {
+  const percentResult = evaluatePercentOperation(operator, left, right, rates, sampleCount, random);
+  if (percentResult) return percentResult;
+  const dateResult = evaluateDateOperation(operator, left, right, rates, sampleCount, random);
+  if (dateResult) return dateResult;
+
+  if (operator === "~") {
+    const unit = getRangeUnit(left, right);
+    if (left.samples !== null || right.samples !== null) {
+      throw new Error("Operands for '~' must be exact scalar values");
+    }
+    const a = left.mean;
+    const b = right.mean;
+    const mean = (a + b) / 2;
+    const stdDev = Math.abs(b - a) / NORMAL_90_SPREAD;
+    const samples = generateSamples(mean, stdDev, sampleCount, random);
+    const round = (value) => roundUnitAmount(value, unit);
+    return createUnitValue(unit, round(mean), Math.min(a, b), Math.max(a, b), samples.map(round));
+  }
+
+  if (isComparisonOperator(operator)) {
+    // A bare number compares in the other side's unit, so `P(cost > 10000)` works for a cost in usd
+    let leftValue = left;
+    let rightValue = right;
+    if (isDimensionless(left.unit) && !isDimensionless(right.unit)) {
+      leftValue = createUnitValue(right.unit, left.mean, left.min, left.max, left.samples);
+    } else if (isDimensionless(right.unit) && !isDimensionless(left.unit)) {
+      rightValue = createUnitValue(left.unit, right.mean, right.min, right.max, right.samples);
+    }
+    if (!haveSameDimension(leftValue.unit, rightValue.unit)) {
+      throw new Error(`Cannot compare ${describeUnit(left.unit)} and ${describeUnit(right.unit)} values`);
+    }
+    const aligned = convertCurrencyValue(rightValue, leftValue.unit, rates, sampleCount);
+    const probability = getComparisonProbability(operator, leftValue, aligned, sampleCount);
+    return markProbability(createUnitValue({}, probability, probability, probability));
+  }
+
+  if (operator === "+" || operator === "-") {
+    if (!haveSameDimension(left.unit, right.unit)) {
+      const verb = operator === "+" ? "add" : "subtract";
+      throw new Error(`Cannot ${verb} ${describeUnit(left.unit)} and ${describeUnit(right.unit)} values`);
+    }
+    const aligned = convertCurrencyValue(right, left.unit, rates, sampleCount);
+    const mean = operator === "+" ? left.mean + aligned.mean : left.mean - aligned.mean;
+    const min = operator === "+" ? left.min + aligned.min : left.min - aligned.max;
+    const max = operator === "+" ? left.max + aligned.max : left.max - aligned.min;
+    const samples = operateSamples(left.samples ?? left.mean, aligned.samples ?? aligned.mean, operator, sampleCount);
+    return createRoundedUnitValue(left.unit, mean, Math.min(min, max), Math.max(min, max), samples);
+  }
+
+  if (operator === "*" || operator === "/") {
+    const aligned = alignUnitsForProduct(left, right, rates, sampleCount);
+    const unit = combineUnits(left.unit, aligned.unit, operator === "*" ? 1 : -1);
+    const bounds =
+      operator === "*"
+        ? getMulBounds(left.min, left.max, aligned.min, aligned.max)
+        : getDivBounds(left.min, left.max, aligned.min, aligned.max);
+    let mean = left.mean * aligned.mean;
+    if (operator === "/") mean = aligned.mean === 0 ? NaN : left.mean / aligned.mean;
+    const samples = operateSamples(left.samples ?? left.mean, aligned.samples ?? aligned.mean, operator, sampleCount);
+    return createRoundedUnitValue(unit, mean, bounds.min, bounds.max, samples);
+  }
+
+  if (operator === "^") {
+    if (!isDimensionless(right.unit)) throw new Error("Exponent must be a scalar value");
+    if (!isDimensionless(left.unit) && right.samples !== null) {
+      throw new Error("Exponent of a value with a unit must be an exact number");
+    }
+    const unit = powerUnit(left.unit, right.mean);
+    const bounds = getPowBounds(left.min, left.max, right.min, right.max);
+    const samples = operateSamples(left.samples ?? left.mean, right.samples ?? right.mean, operator, sampleCount);
+    return createRoundedUnitValue(unit, Math.pow(left.mean, right.mean), bounds.min, bounds.max, samples);
+  }
+
+  throw new Error(`Unsupported operator '${operator}'`);
+}
+
+// Binary operation on evaluated values that keeps their dependencies: merged inputs, a point evaluation
+// reusing the same operator semantics (conversion, rounding) on exact operands, and bounds from a grid
+// over the inputs when both operands depend on the same one.
+function evaluateBinaryWithDependencies(operator, left, right, rates, sampleCount, random) {
+  const result = evaluateCurrencyBinaryWithUncertainty(operator, left, right, rates, sampleCount, random);
+  const { inputs, shared } = mergeValueInputs(left, right);
+  const evaluateAt = (point) =>
+    evaluateCurrencyBinaryWithUncertainty(
+      operator,
+      createExactCurrencyValue(left, evaluateValueAt(left, point)),
+      createExactCurrencyValue(right, evaluateValueAt(right, point)),
+      rates,
+      0,
+    ).mean;
+  const dependentBounds = shared ? getDependentBounds(evaluateAt, inputs) : null;
+  if (dependentBounds) {
+    result.min = dependentBounds.min;
+    result.max = dependentBounds.max;
   }
-  const quotients = [aMin / bMin, aMin / bMax, aMax / bMin, aMax / bMax];
-  return { min: Math.min(...quotients), max: Math.max(...quotients) };
+  return attachDependencies(result, inputs, evaluateAt);
 }
 
-function evaluateCurrencyBinaryWithUncertainty(operator, left, right, rates, sampleCount) {
-  if (operator === "~") {
-    if (left.kind !== "scalar" || right.kind !== "scalar") {
-      throw new Error("Range operator '~' supports scalar values only");
-    }
-    if (left.samples !== null || right.samples !== null) {
-      throw new Error("Operands for '~' must be exact scalar values");
+// --- Money bags ---
+// A sum of money in different currencies keeps its parts: `components` maps each currency code to the
+// amount in it (a value, or a number on literals) until a `to` conversion converts every leg. A bag has no
+// amount of its own (NaN, in the unit of its first currency); comparisons, functions and other operators
+// use its total in the first currency, which needs a rate path from every part.
+function getMoneyComponents(value) {
+  if (value.components) return value.components;
+  const currency = getUnitCurrency(value.unit);
+  return currency ? { [currency]: value } : null;
+}
+
+// Parts of `left <operator> right` when it is (still) a money bag, null otherwise. Sums and differences of
+// money merge the parts by currency; scaling a bag by a scalar or a percent change scales each part.
+function combineMoneyComponents(operator, left, right, rates, sampleCount, random) {
+  const combine = (op, a, b) => evaluateBinaryWithDependencies(op, a, b, rates, sampleCount, random);
+  let parts = null;
+  if ((operator === "+" || operator === "-") && left.components && right.percent) {
+    parts = mapValues(left.components, (part) => combine(operator, part, right));
+  } else if (operator === "+" || operator === "-") {
+    const leftParts = getMoneyComponents(left);
+    const rightParts = getMoneyComponents(right);
+    if (!leftParts || !rightParts) return null;
+    if (!left.components && !right.components && left.currency === right.currency) return null;
+    parts = { ...leftParts };
+    for (const [code, part] of Object.entries(rightParts)) {
+      const base = parts[code] || createExactDependencies(createUnitValue(part.unit, 0, 0, 0));
+      parts[code] = combine(operator, base, part);
     }
-    const a = left.mean;
-    const b = right.mean;
-    const mean = (a + b) / 2;
-    const stdDev = Math.abs(b - a) / 3.28970725;
-    return createCurrencyValue(
-      "scalar",
-      mean,
-      Math.min(a, b),
-      Math.max(a, b),
-      generateSamples(mean, stdDev, sampleCount),
-    );
+  } else if ((operator === "*" || operator === "/") && left.components && isDimensionless(right.unit)) {
+    parts = mapValues(left.components, (part) => combine(operator, part, right));
+  } else if (operator === "*" && right.components && isDimensionless(left.unit)) {
+    parts = mapValues(right.components, (part) => combine(operator, left, part));
   }
+  return parts;
+}
 
-  if (operator === "+" || operator === "-") {
-    if (left.kind === "scalar" && right.kind === "scalar") {
-      const mean = operator === "+" ? left.mean + right.mean : left.mean - right.mean;
-      const min = operator === "+" ? left.min + right.min : left.min - right.max;
-      const max = operator === "+" ? left.max + right.max : left.max - right.min;
-      const samples = operateSamples(left.samples ?? left.mean, right.samples ?? right.mean, operator, sampleCount);
-      return createCurrencyValue("scalar", mean, min, max, samples);
-    }
-
-    if (left.kind === "money" && right.kind === "money") {
-      const rightInLeftCurrency =
-        right.currency === left.currency ? right : convertCurrencyValue(right, left.currency, rates);
-      const meanRaw = operator === "+" ? left.mean + rightInLeftCurrency.mean : left.mean - rightInLeftCurrency.mean;
-      const minRaw = operator === "+" ? left.min + rightInLeftCurrency.min : left.min - rightInLeftCurrency.max;
-      const maxRaw = operator === "+" ? left.max + rightInLeftCurrency.max : left.max - rightInLeftCurrency.min;
-      const samples = operateSamples(
-        left.samples ?? left.mean,
-        rightInLeftCurrency.samples ?? rightInLeftCurrency.mean,
-        operator,
-        sampleCount,
-      );
-
-      return createCurrencyValue(
-        "money",
-        roundCurrencyValue(meanRaw),
-        roundCurrencyValue(Math.min(minRaw, maxRaw)),
-        roundCurrencyValue(Math.max(minRaw, maxRaw)),
-        Array.isArray(samples) ? samples.map(roundCurrencyValue) : null,
-        left.currency,
-      );
-    }
-
-    throw new Error(`Cannot ${operator === "+" ? "add" : "subtract"} scalar and currency values`);
-  }
-
-  if (operator === "*") {
-    if (left.kind === "scalar" && right.kind === "scalar") {
-      const bounds = getMulBounds(left.min, left.max, right.min, right.max);
-      const samples = operateSamples(left.samples ?? left.mean, right.samples ?? right.mean, operator, sampleCount);
-      return createCurrencyValue("scalar", left.mean * right.mean, bounds.min, bounds.max, samples);
-    }
-
-    if ((left.kind === "money" && right.kind === "scalar") || (left.kind === "scalar" && right.kind === "money")) {
-      const money = left.kind === "money" ? left : right;
-      const scalar = left.kind === "scalar" ? left : right;
-      const bounds = getMulBounds(money.min, money.max, scalar.min, scalar.max);
-      const samples = operateSamples(money.samples ?? money.mean, scalar.samples ?? scalar.mean, operator, sampleCount);
-      return createCurrencyValue(
-        "money",
-        roundCurrencyValue(money.mean * scalar.mean),
-        roundCurrencyValue(bounds.min),
-        roundCurrencyValue(bounds.max),
-        Array.isArray(samples) ? samples.map(roundCurrencyValue) : null,
-        money.currency,
-      );
-    }
-
-    throw new Error("Multiplying two currency values is not supported");
-  }
-
-  if (operator === "/") {
-    if (left.kind === "scalar" && right.kind === "scalar") {
-      const bounds = getDivBounds(left.min, left.max, right.min, right.max);
-      const mean = right.mean === 0 ? NaN : left.mean / right.mean;
-      const samples = operateSamples(left.samples ?? left.mean, right.samples ?? right.mean, operator, sampleCount);
-      return createCurrencyValue("scalar", mean, bounds.min, bounds.max, samples);
-    }
-
-    if (left.kind === "money" && right.kind === "scalar") {
-      const bounds = getDivBounds(left.min, left.max, right.min, right.max);
-      const mean = roundCurrencyValue(right.mean === 0 ? NaN : left.mean / right.mean);
-      const samples = operateSamples(left.samples ?? left.mean, right.samples ?? right.mean, operator, sampleCount);
-      return createCurrencyValue(
-        "money",
-        mean,
-        roundCurrencyValue(bounds.min),
-        roundCurrencyValue(bounds.max),
-        Array.isArray(samples) ? samples.map(roundCurrencyValue) : null,
-        left.currency,
-      );
-    }
-
-    if (left.kind === "money" && right.kind === "money") {
-      const bounds = getDivBounds(left.min, left.max, right.min, right.max);
-      const mean = right.mean === 0 ? NaN : left.mean / right.mean;
-      const samples = operateSamples(left.samples ?? left.mean, right.samples ?? right.mean, operator, sampleCount);
-      return createCurrencyValue("scalar", mean, bounds.min, bounds.max, samples);
-    }
-
-    throw new Error("Cannot divide scalar by a currency value");
-  }
+// Result of `left <operator> right` when it makes or keeps a money bag, null otherwise. Parts that cancel out
+// leave the bag, so a single currency left is plain money in that currency (`120usd - 120usd + 50eur` is 50eur).
+function evaluateMoneyBagOperation(operator, left, right, rates, sampleCount, random) {
+  const parts = combineMoneyComponents(operator, left, right, rates, sampleCount, random);
+  if (!parts) return null;
+  const remaining = Object.entries(parts).filter(([, part]) => part.samples || part.min !== 0 || part.max !== 0);
+  if (remaining.length === 1) return cloneCurrencyValue(remaining[0][1]);
+  if (remaining.length === 0) return createExactDependencies(createUnitValue(Object.values(parts)[0].unit, 0, 0, 0));
+  const bag = createExactDependencies(createUnitValue(remaining[0][1].unit, NaN, NaN, NaN));
+  bag.components = Object.fromEntries(remaining);
+  return bag;
+}
 
-  if (operator === "^") {
-    if (left.kind === "scalar" && right.kind === "scalar") {
-      const bounds = getPowBounds(left.min, left.max, right.min, right.max);
-      const samples = operateSamples(left.samples ?? left.mean, right.samples ?? right.mean, operator, sampleCount);
-      return createCurrencyValue("scalar", Math.pow(left.mean, right.mean), bounds.min, bounds.max, samples);
-    }
+// A bag where a single amount is needed counts as its total in its first currency
+function toMoneyBagTotal(value, rates, sampleCount, random) {
+  return value.components ? convertMoneyBag(value, value.unit, rates, sampleCount, random) : value;
+}
 
-    if (left.kind === "money" && right.kind === "scalar") {
-      const bounds = getPowBounds(left.min, left.max, right.min, right.max);
-      const samples = operateSamples(left.samples ?? left.mean, right.samples ?? right.mean, operator, sampleCount);
-      return createCurrencyValue(
-        "money",
-        roundCurrencyValue(Math.pow(left.mean, right.mean)),
-        roundCurrencyValue(bounds.min),
-        roundCurrencyValue(bounds.max),
-        Array.isArray(samples) ? samples.map(roundCurrencyValue) : null,
-        left.currency,
-      );
+// A result bag gets its total when the rates connect every part to its first currency, and stays as its
+// parts otherwise (`120usd + 50eur` without a eur->usd rate)
+function withMoneyBagTotal(value, rates, sampleCount, random) {
+  const currency = getUnitCurrency(value.unit);
+  const hasRatePath = (code) => {
+    try {
+      getCurrencyRate(code, currency, rates);
+      return true;
+    } catch (error) {
+      return false;
     }
+  };
+  if (!Object.keys(value.components).every(hasRatePath)) return value;
+  const total = toMoneyBagTotal(value, rates, sampleCount, random);
+  total.components = value.components;
+  return total;
+}
+
+// Convert every leg of a bag on its own, then add them up in the target currency
+function convertMoneyBag(value, targetUnit, rates, sampleCount, random) {
+  if (!value.components) return convertCurrencyValue(value, targetUnit, rates, sampleCount);
+  const legs = Object.values(value.components).map((part) => convertCurrencyValue(part, targetUnit, rates, sampleCount));
+  return legs.reduce((total, leg) => evaluateBinaryWithDependencies("+", total, leg, rates, sampleCount, random));
+}
 
-    throw new Error("Power is supported for scalar^scalar or money^scalar only");
+// Literal form of the same: the converted legs as a sum to fold in the next step (`480pln + 211pln`),
+// with the rate each leg used (`usd->pln 4`)
+function convertMoneyBagLiteral(literal, targetUnit, rates) {
+  const target = formatUnit(targetUnit);
+  const notes = [];
+  let node = null;
+  for (const [code, amount] of Object.entries(literal.components)) {
+    const unit = createUnit(code);
+    const factor = getUnitConversionFactor(unit, targetUnit, rates);
+    if (!unitsEqual(unit, targetUnit)) notes.push(`${code}->${target} ${formatScalarAmount(factor)}`);
+    const leg = createUnitLiteral(roundUnitAmount(Math.abs(amount) * factor, targetUnit), targetUnit);
+    if (!node) node = amount < 0 ? { type: "unary", operator: "-", value: leg } : leg;
+    else node = { type: "binary", operator: amount < 0 ? "-" : "+", left: node, right: leg };
   }
+  return { node, notes };
+}
 
-  throw new Error(`Unsupported operator '${operator}'`);
+// Sampled evaluation of an AST node. `trace` (a Map, optional) records the value of every node evaluated.
+function evaluateAst(node, rates, sampleCount, random, baseValue = null, trace = null) {
+  const value = evaluateAstNode(node, rates, sampleCount, random, baseValue, trace);
+  if (trace) trace.set(node, value);
+  return value;
 }
 
-function evaluateCurrencyAstWithUncertainty(node, rates, sampleCount, baseValue = null) {
+function evaluateAstNode(node, rates, sampleCount, random, baseValue, trace) {
   if (isLiteralNode(node)) return createCurrencyValueFromLiteral(node);
 
   if (node.type === "base") {
@@ -969,114 +3107,224 @@ function evaluateCurrencyAstWithUncertainty(node, rates, sampleCount, baseValue
     return cloneCurrencyValue(baseValue);
   }
 
+  if (node.type === "variable") {
+    // Share the bound sample vector and leaf identity so every reference to a variable stays correlated.
+    const { unit, mean, min, max, samples } = node.value;
+    let inputs = getValueInputs(node.value);
+    let evaluateAt = (point) => evaluateValueAt(node.value, point);
+    // A variable that is a leaf itself (`rate = 40~60 usd`) is reported under its name, and under the id
+    // `corr` gave it when it reordered the samples
+    const ids = Object.keys(inputs);
+    if (ids.length === 1 && samples && inputs[ids[0]].samples === samples) {
+      const id = getCorrelatedLeafId(ids[0], random);
+      inputs = { [id]: { ...inputs[ids[0]], label: node.name } };
+      if (id !== ids[0]) evaluateAt = (point) => evaluateValueAt(node.value, { ...point, [ids[0]]: point[id] });
+    }
+    const value = attachDependencies(createUnitValue(unit, mean, min, max, samples), inputs, evaluateAt);
+    if (node.value.components) value.components = node.value.components;
+    if (node.value.percent) markPercent(value);
+    return value;
+  }
+
   if (node.type === "unary") {
-    if (node.operator !== "-") throw new Error(`Unsupported unary operator '${node.operator}'`);
-    const value = evaluateCurrencyAstWithUncertainty(node.value, rates, sampleCount, baseValue);
+    if (node.operator !== "-" && node.operator !== "%") throw new Error(`Unsupported unary operator '${node.operator}'`);
+    const value = evaluateAst(node.value, rates, sampleCount, random, baseValue, trace);
+    if (node.operator === "%") return toPercentValue(value);
+    if (value.components) {
+      return evaluateMoneyBagOperation("-", createExactCurrencyValue(value, 0), value, rates, sampleCount, random);
+    }
     const min = Math.min(-value.max, -value.min);
     const max = Math.max(-value.max, -value.min);
     const mean = -value.mean;
     const samples = Array.isArray(value.samples) ? value.samples.map((entry) => -entry) : null;
+    const negated = attachDependencies(
+      createRoundedUnitValue(value.unit, mean, min, max, samples),
+      getValueInputs(value),
+      (point) => roundUnitAmount(-evaluateValueAt(value, point), value.unit),
+    );
+    if (value.percent) markPercent(negated);
+    return negated;
+  }
 
-    if (value.kind === "money") {
-      return createCurrencyValue(
-        "money",
-        roundCurrencyValue(mean),
-        roundCurrencyValue(min),
-        roundCurrencyValue(max),
-        Array.isArray(samples) ? samples.map(roundCurrencyValue) : null,
-        value.currency,
-      );
+  if (node.type === "binary") {
+    const leftValue = evaluateAst(node.left, rates, sampleCount, random, baseValue, trace);
+    const rightValue = evaluateAst(node.right, rates, sampleCount, random, baseValue, trace);
+    const bag = evaluateMoneyBagOperation(node.operator, leftValue, rightValue, rates, sampleCount, random);
+    if (bag) return bag;
+    const left = toMoneyBagTotal(leftValue, rates, sampleCount, random);
+    const right = toMoneyBagTotal(rightValue, rates, sampleCount, random);
+    if (isComparisonOperator(node.operator) || node.operator === "~") {
+      const result = evaluateCurrencyBinaryWithUncertainty(node.operator, left, right, rates, sampleCount, random);
+      // A probability is already a summary of the samples, so it is exact
+      if (node.operator !== "~") return createExactDependencies(result);
+      const leaf = createInputLeaf(result, formatAst(node), random);
+      if (leaf.kind !== "money") return leaf;
+      const evaluateLeafAt = leaf.evaluateAt;
+      return attachDependencies(leaf, leaf.inputs, (point) => roundUnitAmount(evaluateLeafAt(point), leaf.unit));
     }
 
-    return createCurrencyValue("scalar", mean, min, max, samples);
+    return evaluateBinaryWithDependencies(node.operator, left, right, rates, sampleCount, random);
   }
 
-  if (node.type === "binary") {
-    const left = evaluateCurrencyAstWithUncertainty(node.left, rates, sampleCount, baseValue);
-    const right = evaluateCurrencyAstWithUncertainty(node.right, rates, sampleCount, baseValue);
-    return evaluateCurrencyBinaryWithUncertainty(node.operator, left, right, rates, sampleCount);
+  if (node.type === "call") {
+    const args = node.args.map((arg) =>
+      toMoneyBagTotal(evaluateAst(arg, rates, sampleCount, random, baseValue, trace), rates, sampleCount, random),
+    );
+    if (isMathFunctionName(node.name)) return evaluateCurrencyMathFunction(node.name, args, rates, sampleCount);
+    if (isSampleQueryName(node.name)) return evaluateCurrencySampleQuery(node.name, args);
+    if (isCorrelationName(node.name)) return evaluateCorrelation(args, random);
+    if (args.some((arg) => arg.kind !== "scalar" || arg.samples !== null)) {
+      throw new Error(`Arguments for '${node.name}' must be exact scalar values`);
+    }
+    const value = createDistributionValue(node.name, args.map((arg) => arg.mean), sampleCount, random);
+    return createInputLeaf(createUnitValue({}, value.mean, value.min, value.max, value.samples), formatAst(node), random);
   }
 
   throw new Error(`Unsupported AST node type '${node.type}'`);
 }
 
-function reduceCurrencyAstOneLayer(node, rates) {
+// Nodes rebuilt while reducing or substituting keep `origin`, the parsed node they stand for, so a folded
+// sub-term can be matched with its value from the sampled evaluation
+function getAstOrigin(node) {
+  return node.origin || node;
+}
+
+// Reduce the innermost layer of the AST. When `collapsed` is given, it collects `{ node, reduced }` for every
+// sub-term folded into a literal: its parsed node and the form it had just before folding.
+function reduceAstOneLayer(node, rates, collapsed = []) {
+  const collapse = (reducedNode, literal) => {
+    collapsed.push({ node: getAstOrigin(node), reduced: reducedNode });
+    return { node: literal, changed: true };
+  };
+
   if (isLiteralNode(node) || node.type === "base") {
     return { node, changed: false };
   }
 
+  if (node.type === "variable") {
+    return collapse(node, createLiteralFromValue(node.value));
+  }
+
   if (node.type === "unary") {
-    const reducedValue = reduceCurrencyAstOneLayer(node.value, rates);
-    const nextNode = { type: "unary", operator: node.operator, value: reducedValue.node };
+    const reducedValue = reduceAstOneLayer(node.value, rates, collapsed);
+    const nextNode = { type: "unary", operator: node.operator, value: reducedValue.node, origin: getAstOrigin(node) };
     if (reducedValue.changed) return { node: nextNode, changed: true };
-    if (isLiteralNode(nextNode.value)) return { node: evaluateCurrencyUnary(nextNode), changed: true };
+    if (isLiteralNode(nextNode.value)) return collapse(nextNode, evaluateCurrencyUnary(nextNode));
     return { node: nextNode, changed: false };
   }
 
   if (node.type === "binary") {
-    const reducedLeft = reduceCurrencyAstOneLayer(node.left, rates);
-    const reducedRight = reduceCurrencyAstOneLayer(node.right, rates);
+    const reducedLeft = reduceAstOneLayer(node.left, rates, collapsed);
+    const reducedRight = reduceAstOneLayer(node.right, rates, collapsed);
     const nextNode = {
       type: "binary",
       operator: node.operator,
       left: reducedLeft.node,
       right: reducedRight.node,
+      origin: getAstOrigin(node),
     };
 
     if (reducedLeft.changed || reducedRight.changed) {
       return { node: nextNode, changed: true };
     }
     if (isLiteralNode(nextNode.left) && isLiteralNode(nextNode.right)) {
-      return { node: evaluateCurrencyBinary(nextNode, rates), changed: true };
+      return collapse(nextNode, evaluateCurrencyBinary(nextNode, rates));
     }
     return { node: nextNode, changed: false };
   }
 
+  if (node.type === "call") {
+    const reducedArgs = node.args.map((arg) => reduceAstOneLayer(arg, rates, collapsed));
+    const nextNode = {
+      type: "call",
+      name: node.name,
+      args: reducedArgs.map((entry) => entry.node),
+      origin: getAstOrigin(node),
+    };
+    if (reducedArgs.some((entry) => entry.changed)) return { node: nextNode, changed: true };
+    if (nextNode.args.every(isLiteralNode)) return collapse(nextNode, evaluateCurrencyCall(nextNode, rates));
+    return { node: nextNode, changed: false };
+  }
+
   throw new Error(`Unsupported AST node type '${node.type}'`);
 }
 
-function getCurrencyAstPrecedence(node) {
-  if (node.type === "unary") return 5;
+function getAstPrecedence(node) {
+  if (node.type === "unary") return 6;
   if (node.type === "binary") {
-    if (node.operator === "+" || node.operator === "-") return 1;
-    if (node.operator === "*" || node.operator === "/") return 2;
-    if (node.operator === "^") return 3;
-    if (node.operator === "~") return 4;
+    // `as % of` binds below comparisons
+    if (node.operator === "as % of") return 0.5;
+    if (isComparisonOperator(node.operator)) return 1;
+    if (node.operator === "+" || node.operator === "-") return 2;
+    if (node.operator === "*" || node.operator === "/") return 3;
+    if (node.operator === "^") return 4;
+    if (node.operator === "~") return 5;
+  }
+  // Money bags render as sums and compound units with operators (`0.2km/min`, `5m^2`), so they group like
+  // the operator they show
+  if (isLiteralNode(node) && node.components) return 2;
+  if (isLiteralNode(node) && node.kind === "quantity") {
+    const unitText = formatUnit(node.unit);
+    if (/[*/]/.test(unitText)) return 3;
+    if (unitText.includes("^")) return 4;
   }
   return 99;
 }
 
+// The parts of a money bag as a sum: `120usd + 50eur` in steps, `120 USD + 50 EUR` for results
+function formatMoneyBag(components, formatPart) {
+  return Object.entries(components)
+    .map(([code, amount], index) => {
+      const text = formatPart(Math.abs(amount), code);
+      if (index === 0) return amount < 0 ? `-${text}` : text;
+      return `${amount < 0 ? "-" : "+"} ${text}`;
+    })
+    .join(" ");
+}
+
 function formatCurrencyLiteral(node) {
-  if (node.kind === "money") return `${formatCurrencyAmount(node.value)}${node.currency}`;
+  if (node.probability) return formatProbability(node.value);
+  if (node.percent) return `${formatScalarAmount(node.value * 100)}%`;
+  if (node.components) {
+    return formatMoneyBag(node.components, (amount, code) => `${formatCurrencyAmount(amount, false, code)}${code}`);
+  }
+  if (node.kind === "money") return `${formatCurrencyAmount(node.value, false, node.currency)}${node.currency}`;
+  if (node.kind === "date") return formatDayNumber(node.value);
+  if (node.kind === "quantity") return formatUnitAmount(formatScalarAmount(node.value), node.unit);
   return formatScalarAmount(node.value);
 }
 
-function formatCurrencyAst(node, parentPrecedence = 0, isRightChild = false, parentOperator = null) {
+function formatAst(node, parentPrecedence = 0, isRightChild = false, parentOperator = null) {
   if (isLiteralNode(node)) return formatCurrencyLiteral(node);
   if (node.type === "base") return BASE_CURRENCY_TOKEN;
+  if (node.type === "variable") return node.name;
 
   if (node.type === "unary") {
-    const selfPrecedence = getCurrencyAstPrecedence(node);
-    let valueText = formatCurrencyAst(node.value, 0, true, node.operator);
-    const valuePrecedence = getCurrencyAstPrecedence(node.value);
+    const selfPrecedence = getAstPrecedence(node);
+    let valueText = formatAst(node.value, 0, true, node.operator);
+    const valuePrecedence = getAstPrecedence(node.value);
     if (valuePrecedence < selfPrecedence) valueText = `(${valueText})`;
-    let rendered = `-${valueText}`;
+    let rendered = node.operator === "%" ? `${valueText}%` : `-${valueText}`;
     if (selfPrecedence < parentPrecedence) return `(${rendered})`;
     return rendered;
   }
 
   if (node.type === "binary") {
-    const selfPrecedence = getCurrencyAstPrecedence(node);
+    const selfPrecedence = getAstPrecedence(node);
 
-    let leftText = formatCurrencyAst(node.left, 0, false, node.operator);
-    const leftPrecedence = getCurrencyAstPrecedence(node.left);
-    if (leftPrecedence < selfPrecedence) leftText = `(${leftText})`;
+    // A range inside other arithmetic is grouped even where precedence allows `1 ~ 2 * 3`, which reads ambiguously
+    const isNestedRange = (child) => child.type === "binary" && child.operator === "~" && node.operator !== "~";
+
+    let leftText = formatAst(node.left, 0, false, node.operator);
+    const leftPrecedence = getAstPrecedence(node.left);
+    if (leftPrecedence < selfPrecedence || isNestedRange(node.left)) leftText = `(${leftText})`;
     if (node.operator === "^" && leftPrecedence === selfPrecedence) leftText = `(${leftText})`;
 
-    let rightText = formatCurrencyAst(node.right, 0, true, node.operator);
-    const rightPrecedence = getCurrencyAstPrecedence(node.right);
+    let rightText = formatAst(node.right, 0, true, node.operator);
+    const rightPrecedence = getAstPrecedence(node.right);
     const needsRightWrap =
       rightPrecedence < selfPrecedence ||
+      isNestedRange(node.right) ||
       (rightPrecedence === selfPrecedence && (node.operator === "-" || node.operator === "/" || node.operator === "^"));
     if (needsRightWrap) rightText = `(${rightText})`;
 
@@ -1089,14 +3337,71 @@ function formatCurrencyAst(node, parentPrecedence = 0, isRightChild = false, par
     return rendered;
   }
 
+  if (node.type === "call") {
+    // Names are read case-insensitively; the probability query prints as it is documented, `P(...)`
+    const name = node.name.toLowerCase() === "p" ? "P" : node.name;
+    return `${name}(${node.args.map((arg) => formatAst(arg)).join(", ")})`;
+  }
+
   throw new Error(`Unsupported AST node for formatting: ${node.type}`);
 }
 
+function formatResultLiteral(node) {
+  if (node.probability) return formatProbability(node.value);
+  if (node.percent) return `${formatNumber(node.value * 100)}%`;
+  if (node.components) {
+    return formatMoneyBag(node.components, (amount, code) => `${formatCurrencyAmount(amount, false, code)} ${code.toUpperCase()}`);
+  }
+  if (node.kind === "money") return `${formatCurrencyAmount(node.value, true, node.currency)}${node.currency}`;
+  if (node.kind === "date") return formatDayNumber(node.value);
+  if (node.kind === "quantity") return formatUnitAmount(formatNumber(node.value), node.unit);
+  return formatNumber(node.value);
+}
+
+function someAstNode(node, predicate) {
+  if (predicate(node)) return true;
+  if (node.type === "unary") return someAstNode(node.value, predicate);
+  if (node.type === "binary") return someAstNode(node.left, predicate) || someAstNode(node.right, predicate);
+  if (node.type === "call") return node.args.some((arg) => someAstNode(arg, predicate));
+  return false;
+}
+
+function containsSampleQuery(node) {
+  return someAstNode(
+    node,
+    (entry) =>
+      (entry.type === "binary" && isComparisonOperator(entry.operator)) ||
+      (entry.type === "call" && (isSampleQueryName(entry.name) || isCorrelationName(entry.name))),
+  );
+}
+
+// Ranges, distributions and sampled variables make an expression uncertain; everything else is exact
+function containsUncertainty(node) {
+  return someAstNode(
+    node,
+    (entry) =>
+      (entry.type === "binary" && entry.operator === "~") ||
+      (entry.type === "call" && isDistributionName(entry.name)) ||
+      (entry.type === "variable" && Array.isArray(entry.value.samples)),
+  );
+}
+
+function containsUnits(node) {
+  return someAstNode(
+    node,
+    (entry) =>
+      (isLiteralNode(entry) && !isDimensionless(entry.unit)) ||
+      (entry.type === "variable" && !isDimensionless(entry.value.unit)),
+  );
+}
+
 function replaceBaseNode(node, replacement) {
-  if (node.type === "base") return cloneCurrencyNode(replacement);
-  if (isLiteralNode(node)) return cloneCurrencyNode(node);
+  if (node.type === "base") return cloneAstNode(replacement);
+  if (isLiteralNode(node)) return cloneAstNode(node);
+  const origin = getAstOrigin(node);
+  if (node.type === "variable") return { ...cloneAstNode(node), origin };
   if (node.type === "unary") {
-    return { type: "unary", operator: node.operator, value: replaceBaseNode(node.value, replacement) };
+    return { type: "unary", operator: node.operator, value: replaceBaseNode(node.value, replacement), origin };
   }
   if (node.type === "binary") {
     return {
@@ -1104,165 +3409,426 @@ function replaceBaseNode(node, replacement) {
       operator: node.operator,
       left: replaceBaseNode(node.left, replacement),
       right: replaceBaseNode(node.right, replacement),
+      origin,
     };
   }
+  if (node.type === "call") {
+    return { type: "call", name: node.name, args: node.args.map((arg) => replaceBaseNode(arg, replacement)), origin };
+  }
   throw new Error(`Unsupported node for base replacement: ${node.type}`);
 }
 
-function evaluateCurrencyExpressionWithSteps(expression, sampleCountOrOptions = DEFAULT_SAMPLES, maybeOptions = {}) {
-  let sampleCount = DEFAULT_SAMPLES;
-  let options = maybeOptions;
-  if (typeof sampleCountOrOptions === "number") {
-    sampleCount = sampleCountOrOptions;
-  } else {
-    options = sampleCountOrOptions || {};
-  }
-
-  const tokens = lexCurrencyExpression(expression);
-  const topLevelToIndex = findTopLevelToToken(tokens);
-  const hasRangeOperator = tokens.some((token) => token.type === "operator" && token.value === "~");
-  const hasAdjacentCurrencySuffix = tokens.some(
-    (token, idx) =>
-      token.type === "number" &&
-      tokens[idx + 1] &&
-      tokens[idx + 1].type === "identifier" &&
-      tokens[idx + 1].value !== BASE_CURRENCY_TOKEN,
-  );
-  const hasGroupedCurrencySuffix = tokens.some(
-    (token, idx) =>
-      token.type === "operator" &&
-      token.value === ")" &&
-      tokens[idx + 1] &&
-      tokens[idx + 1].type === "identifier" &&
-      tokens[idx + 1].value !== BASE_CURRENCY_TOKEN,
-  );
-  const looksLikeCurrencyExpression =
-    topLevelToIndex >= 0 ||
-    tokens.some((token) => token.type === "money") ||
-    hasAdjacentCurrencySuffix ||
-    hasGroupedCurrencySuffix;
+// Rates for `on <date>`: the caller's snapshot for that date only, without today's built-in defaults
+function getHistoricalRateMap(historicalRates, date) {
+  const snapshot = historicalRates && historicalRates[date];
+  if (!snapshot) throw new Error(`Missing exchange rates for ${date}`);
+  return { rateDate: snapshot.rateDate || date, rates: buildCurrencyRateMap(toCurrencyRates(snapshot), null) };
+}
 
-  if (!looksLikeCurrencyExpression) return null;
+// Parse `expression [to <unit> [on <date>] [tail]]` into ASTs. The optional tail continues from the converted
+// value (`to pln * 12`), which it references through a base node; a date makes every conversion in the
+// expression use that day's rates from options.historicalRates. Bindings without dependencies become leaves
+// of `random`. Returns null for an empty expression.
+function parseExpression(expression, sampleCount, options, random) {
+  const variables = { ...MATH_CONSTANTS, ...options.variables };
+  const currentRates = buildCurrencyRateMap(options.currencyRates);
+  const tokens = lexExpression(String(expression), { decimalSeparator: options.decimalSeparator });
+  if (tokens.length === 0) return null;
 
-  const rates = buildCurrencyRateMap(options.currencyRates);
+  const topLevelToIndex = findTopLevelToToken(tokens);
   const leftTokens = topLevelToIndex >= 0 ? tokens.slice(0, topLevelToIndex) : tokens;
   if (leftTokens.length === 0) throw new Error("Missing expression before currency conversion");
 
-  let targetCurrency = null;
+  // Registry codes and aliases are always valid units; codes outside it need rates (custom `btc` rates)
+  const hasRates = (map, name) => Object.prototype.hasOwnProperty.call(map, resolveCurrencyName(name) ?? name);
+  let targetUnit = null;
   let tailTokens = [];
-  let tailAst = null;
+  let requestedDate = null;
   if (topLevelToIndex >= 0) {
-    const targetToken = tokens[topLevelToIndex + 1];
-    if (!targetToken || targetToken.type !== "identifier") {
-      throw new Error("Expected target currency after 'to'");
-    }
-    targetCurrency = targetToken.value;
-    tailTokens = tokens.slice(topLevelToIndex + 2);
-    if (tailTokens.length > 0) {
-      const tailExpressionTokens = [
-        { type: "identifier", value: BASE_CURRENCY_TOKEN, raw: BASE_CURRENCY_TOKEN },
-        ...tailTokens,
-      ];
-      tailAst = parseCurrencyExpressionTokens(tailExpressionTokens, {
-        allowBaseToken: true,
-        allowCurrencySuffix: true,
-      });
-    }
-  }
-
-  const leftAst = parseCurrencyExpressionTokens(leftTokens, { allowBaseToken: false, allowCurrencySuffix: true });
-  const conversionSuffix = targetCurrency
-    ? `to ${targetCurrency}${tailTokens.length > 0 ? ` ${formatTokenSequence(tailTokens)}` : ""}`
-    : "";
+    const target = parseUnitTokens(tokens, topLevelToIndex + 1, variables, (name) => hasRates(currentRates, name));
+    if (!target) throw new Error("Expected target unit or currency after 'to'");
+    targetUnit = target.unit;
+    let tailStart = target.end;
+    if (tokens[tailStart] && tokens[tailStart].type === "on") {
+      requestedDate = tokens[tailStart + 1].value;
+      tailStart += 2;
+    }
+    tailTokens = tokens.slice(tailStart);
+  }
+  if ([...leftTokens, ...tailTokens].some((token) => token.type === "on")) {
+    throw new Error("'on <date>' must follow the 'to <currency>' conversion");
+  }
 
-  const appendSuffix = (content) => (conversionSuffix ? `${content} ${conversionSuffix}` : content);
+  const historical = requestedDate ? getHistoricalRateMap(options.historicalRates, requestedDate) : null;
+  const rates = attachWorkCalendar(historical ? historical.rates : currentRates, createWorkCalendar(options.calendar));
+  const parserOptions = {
+    variables,
+    sampleCount,
+    random,
+    isKnownCurrency: (name) => hasRates(rates, name) || hasRates(currentRates, name),
+    knownCurrencyCodes: Object.keys(rates),
+  };
+
+  let tailAst = null;
+  if (tailTokens.length > 0) {
+    const tailExpressionTokens = [
+      { type: "identifier", value: BASE_CURRENCY_TOKEN, raw: BASE_CURRENCY_TOKEN },
+      ...tailTokens,
+    ];
+    tailAst = parseExpressionTokens(tailExpressionTokens, { ...parserOptions, allowBaseToken: true });
+  }
+
+  const leftAst = parseExpressionTokens(leftTokens, parserOptions);
+  return {
+    rates,
+    leftAst,
+    targetUnit,
+    tailTokens,
+    tailAst,
+    requestedDate,
+    rateDate: historical ? historical.rateDate : null,
+  };
+}
 
-  const steps = [];
-  let reducedLeft = leftAst;
-  steps.push(appendSuffix(formatCurrencyAst(reducedLeft)));
+// Sampled evaluation of a parsed expression, including the conversion and the post-conversion tail
+function evaluateParsedExpression(parsed, sampleCount, random, trace = null, usedRates = null) {
+  const rates = bindCurrencyRates(parsed.rates, sampleCount, random, usedRates);
+  let value = evaluateAst(parsed.leftAst, rates, sampleCount, random, null, trace);
+  if (parsed.targetUnit) {
+    value = convertMoneyBag(value, parsed.targetUnit, rates, sampleCount, random);
+    if (parsed.tailAst) value = evaluateAst(parsed.tailAst, rates, sampleCount, random, value, trace);
+  } else if (value.components) {
+    value = withMoneyBagTotal(value, rates, sampleCount, random);
+  }
+  return value;
+}
+
+// Exact interval and simulated p05-p95 of a sub-term folded in a step. Terms of the post-conversion tail are
+// shown as they looked just before folding, since their parsed form refers to the converted value.
+function describeStepTerm(entry, trace) {
+  const value = trace.get(entry.node);
+  // `-3` folding into a literal is notation, not a simplification worth an interval
+  if (!value || (entry.node.type === "unary" && isLiteralNode(entry.node.value))) return null;
+  const refersToBase = someAstNode(entry.node, (node) => node.type === "base");
+  const quantiles = Array.isArray(value.samples) ? getQuantiles(value.samples) : { p05: value.mean, p95: value.mean };
+  // Percentages are listed in percent, with `%` as their unit
+  const scale = value.percent ? 100 : 1;
+  return {
+    expression: formatAst(refersToBase ? entry.reduced : entry.node),
+    unit: value.percent ? "%" : formatUnit(value.unit) || null,
+    min: value.min * scale,
+    max: value.max * scale,
+    p05: quantiles.p05 * scale,
+    p95: quantiles.p95 * scale,
+  };
+}
+
+// Convenience: run the full pipeline (lex -> AST -> evaluate) and return the UncertainValue with its unit
+function evaluateExpression(expression, sampleCount = DEFAULT_SAMPLES, options = {}) {
+  const random = resolveRandom(options);
+  const parsed = parseExpression(expression, sampleCount, options, random);
+  if (!parsed) return null;
+  return evaluateParsedExpression(parsed, sampleCount, random);
+}
 
-  while (!isLiteralNode(reducedLeft)) {
-    const next = reduceCurrencyAstOneLayer(reducedLeft, rates);
-    if (!next.changed) throw new Error("Unable to simplify expression");
-    reducedLeft = next.node;
-    steps.push(appendSuffix(formatCurrencyAst(reducedLeft)));
+// Evaluate an expression and list its simplification steps: every layer of the AST is reduced to literals
+// (ranges and distributions to their means) while the result itself comes from the sampled evaluation.
+function evaluateExpressionWithSteps(expression, sampleCount = DEFAULT_SAMPLES, options = {}) {
+  const random = resolveRandom(options);
+  const parsed = parseExpression(expression, sampleCount, options, random);
+  if (!parsed) {
+    return { isCurrencyExpression: false, currency: null, unit: null, steps: [], stepDetails: [], result: null };
   }
 
-  let finalAst = reducedLeft;
-  if (targetCurrency) {
-    finalAst = convertLiteralCurrency(finalAst, targetCurrency, rates);
+  const { rates, leftAst, targetUnit, tailTokens, tailAst, requestedDate, rateDate } = parsed;
+  const asts = tailAst ? [leftAst, tailAst] : [leftAst];
+  const dateSuffix = requestedDate ? ` on ${requestedDate}` : "";
+  const conversionSuffix = targetUnit
+    ? `to ${formatUnit(targetUnit)}${dateSuffix}${tailTokens.length > 0 ? ` ${formatTokenSequence(tailTokens)}` : ""}`
+    : "";
+
+  const appendSuffix = (content) => (conversionSuffix ? `${content} ${conversionSuffix}` : content);
+
+  // The traced evaluation gives every folded sub-term its interval; exact expressions draw no samples.
+  // Uncertain exchange rates make a conversion uncertain even when every amount is exact.
+  const trace = new Map();
+  const usedRates = new Map();
+  const evaluated = evaluateParsedExpression(parsed, sampleCount, random, trace, usedRates);
+  const isUncertain = asts.some(containsUncertainty) || usedRates.size > 0;
+  const sampledResult = isUncertain ? evaluated : null;
+  // Sample queries need the simulated samples; reducing ranges to their means would change the answer,
+  // so such expressions list the input and the simulated result instead of literal steps.
+  const usesSampleQueries = isUncertain && asts.some(containsSampleQuery);
+
+  const steps = [appendSuffix(formatAst(leftAst))];
+  const stepDetails = [{ step: steps[0], terms: [] }];
+  // Folding `-3` into a literal renders the same text, so a repeated step only adds its terms to the last one
+  const pushStep = (text, collapsed = []) => {
+    if (steps[steps.length - 1] !== text) {
+      steps.push(text);
+      stepDetails.push({ step: text, terms: [] });
+    }
+    const terms = collapsed.map((entry) => describeStepTerm(entry, trace)).filter(Boolean);
+    stepDetails[stepDetails.length - 1].terms.push(...terms);
+  };
+  const reduceStep = (node) => {
+    const collapsed = [];
+    const next = reduceAstOneLayer(node, rates, collapsed);
+    return { ...next, collapsed };
+  };
+  let finalAst = null;
+  let conversionStep = null;
+  const legRates = [];
+
+  if (!usesSampleQueries) {
+    let reducedLeft = leftAst;
+    while (!isLiteralNode(reducedLeft)) {
+      const next = reduceStep(reducedLeft);
+      if (!next.changed) throw new Error("Unable to simplify expression");
+      reducedLeft = next.node;
+      pushStep(appendSuffix(formatAst(reducedLeft)), next.collapsed);
+    }
 
-    if (tailAst) {
-      finalAst = replaceBaseNode(tailAst, finalAst);
-      steps.push(formatCurrencyAst(finalAst));
+    finalAst = reducedLeft;
+    if (targetUnit) {
+      // A money bag converts leg by leg, naming each leg's rate, and the legs add up in the next step
+      if (finalAst.components) {
+        const legs = convertMoneyBagLiteral(finalAst, targetUnit, rates);
+        finalAst = legs.node;
+        legRates.push(...legs.notes);
+      } else {
+        finalAst = convertLiteralUnit(finalAst, targetUnit, rates);
+      }
+      if (tailAst) finalAst = replaceBaseNode(tailAst, finalAst);
+      pushStep(formatAst(finalAst));
+      conversionStep = steps.length - 1;
 
       while (!isLiteralNode(finalAst)) {
-        const next = reduceCurrencyAstOneLayer(finalAst, rates);
+        const next = reduceStep(finalAst);
         if (!next.changed) throw new Error("Unable to simplify post-conversion expression");
         finalAst = next.node;
-        steps.push(formatCurrencyAst(finalAst));
+        pushStep(formatAst(finalAst), next.collapsed);
       }
-    } else {
-      steps.push(formatCurrencyAst(finalAst));
     }
+
+    if (!isLiteralNode(finalAst)) throw new Error("Expression did not simplify to a single value");
+  } else {
+    finalAst = createLiteralFromValue(sampledResult);
+    pushStep(formatResultLiteral(finalAst));
   }
 
-  if (!isLiteralNode(finalAst)) throw new Error("Expression did not simplify to a single value");
+  // The step that converts (or the last one) names the day whose rates it used, a weekend request getting
+  // the previous fixing, and the uncertain rates it drew on, listed as terms with their ranges
+  const rateNotes = [...(rateDate ? [`rates of ${rateDate}`] : []), ...legRates];
+  for (const rate of usedRates.values()) {
+    rateNotes.push(`${rate.label} ${formatScalarAmount(rate.min)} ~ ${formatScalarAmount(rate.max)}`);
+  }
+  if (rateNotes.length > 0) {
+    const index = conversionStep ?? steps.length - 1;
+    steps[index] = `${steps[index]} (${rateNotes.join(", ")})`;
+    stepDetails[index].step = steps[index];
+    for (const rate of usedRates.values()) {
+      const quantiles = getQuantiles(rate.samples);
+      stepDetails[index].terms.push({ expression: rate.label, unit: null, min: rate.min, max: rate.max, ...quantiles });
+    }
+  }
 
   const resultCurrency = finalAst.kind === "money" ? finalAst.currency : null;
-  let sampledResult = null;
-  if (hasRangeOperator) {
-    sampledResult = evaluateCurrencyAstWithUncertainty(leftAst, rates, sampleCount);
-
-    if (targetCurrency) {
-      sampledResult = convertCurrencyValue(sampledResult, targetCurrency, rates);
-      if (tailAst) {
-        sampledResult = evaluateCurrencyAstWithUncertainty(tailAst, rates, sampleCount, sampledResult);
-      }
-    }
+  const resultUnit = formatUnit(finalAst.unit) || null;
+  // The literal of a money bag carries no total, so an exact bag takes it (or NaN) from the evaluation
+  const total = sampledResult || (finalAst.components ? evaluated : null);
+  const result = {
+    mean: total ? total.mean : finalAst.value,
+    min: total ? total.min : finalAst.value,
+    max: total ? total.max : finalAst.value,
+    samples: total ? total.samples : null,
+    currency: resultCurrency,
+    unit: resultUnit,
+    display: formatResultLiteral(finalAst),
+  };
+  if (finalAst.probability) result.probability = true;
+  if (finalAst.percent) result.percent = true;
+  // A date also gives the days half and nine in ten of the simulations are done by
+  if (finalAst.kind === "date") {
+    const sorted = getFiniteSamples(result.samples).sort((a, b) => a - b);
+    const dateAt = (percentile) => formatDayNumber(sorted.length > 0 ? getSortedPercentile(sorted, percentile) : result.mean);
+    result.dates = { p50: dateAt(50), p90: dateAt(90) };
+  }
+  if (sampledResult) attachDependencies(result, getValueInputs(sampledResult), sampledResult.evaluateAt);
+  // A money bag also lists its parts; `mean`, `min` and `max` are its total in the first currency, NaN when
+  // the rates do not connect every part to it
+  if (finalAst.components) {
+    const parts = (sampledResult && sampledResult.components) || {};
+    result.components = Object.entries(finalAst.components).map(([currency, amount]) => {
+      const part = parts[currency];
+      if (!part) return { currency, mean: amount, min: amount, max: amount, samples: null };
+      const component = { currency, mean: part.mean, min: part.min, max: part.max, samples: part.samples };
+      return attachDependencies(component, getValueInputs(part), part.evaluateAt);
+    });
   }
 
-  return {
-    isCurrencyExpression: true,
+  const evaluation = {
+    isCurrencyExpression: !!targetUnit || asts.some(containsUnits),
     currency: resultCurrency,
+    unit: resultUnit,
     steps,
-    result: {
-      mean: sampledResult ? sampledResult.mean : finalAst.value,
-      min: sampledResult ? sampledResult.min : finalAst.value,
-      max: sampledResult ? sampledResult.max : finalAst.value,
-      samples: sampledResult ? sampledResult.samples : null,
-      currency: resultCurrency,
-      display: finalAst.kind === "money" ? `${formatCurrencyAmount(finalAst.value, true)}${resultCurrency}` : formatNumber(finalAst.value),
-    },
+    stepDetails,
+    result,
   };
+  if (rateDate) evaluation.rateDate = rateDate;
+  return evaluation;
 }
 
-function evaluateExpressionWithSteps(expression, sampleCount = DEFAULT_SAMPLES, options = {}) {
-  const currencyResult = evaluateCurrencyExpressionWithSteps(expression, sampleCount, options);
-  if (currencyResult) return currencyResult;
+// Former entry point of the unit/currency front end: the same evaluation, or null when the expression
+// uses no units, currencies or conversion
+function evaluateCurrencyExpressionWithSteps(expression, sampleCountOrOptions = DEFAULT_SAMPLES, maybeOptions = {}) {
+  let sampleCount = DEFAULT_SAMPLES;
+  let options = maybeOptions;
+  if (typeof sampleCountOrOptions === "number") {
+    sampleCount = sampleCountOrOptions;
+  } else {
+    options = sampleCountOrOptions || {};
+  }
 
-  const result = evaluateExpression(expression, sampleCount);
-  return {
-    isCurrencyExpression: false,
-    currency: null,
-    steps: [],
-    result,
-  };
+  const evaluation = evaluateExpressionWithSteps(expression, sampleCount, options);
+  return evaluation.isCurrencyExpression ? evaluation : null;
+}
+
+const ASSIGNMENT_REGEX = /^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/;
+
+function assertAssignableName(name) {
+  // Sample queries stay usable as names (`p`, `mean`); they only act as functions when followed by `(`
+  if (name === "to" || name === BASE_CURRENCY_TOKEN || isDistributionName(name) || isMathFunctionName(name)) {
+    throw new Error(`'${name}' is reserved and cannot be used as a variable name`);
+  }
+}
+
+// Store an evaluation result as a variable binding (keeps the sample vector by reference)
+function toVariableValue(evaluation) {
+  const { mean, min, max, samples, components } = evaluation.result;
+  const value = createUnitValue(evaluation.unit ? parseUnitText(evaluation.unit) : {}, mean, min, max, samples);
+  if (components) value.components = components;
+  if (evaluation.result.percent) markPercent(value);
+  if (!evaluation.result.evaluateAt) return value;
+  return attachDependencies(value, getValueInputs(evaluation.result), evaluation.result.evaluateAt);
+}
+
+// Evaluate a multi-line worksheet. Lines may assign `name = expression` and hold several statements
+// separated by `;`; later statements can reference earlier names and reuse their sample vectors, so
+// `x = 1~2; x - x` is exactly 0. Blank lines and `#` comments are skipped. Each statement yields one
+// entry (tagged with its line number); a failing statement records its error and evaluation continues.
+function evaluateWorksheet(source, sampleCount = DEFAULT_SAMPLES, options = {}) {
+  const rawLines = Array.isArray(source) ? source : String(source ?? "").split(/\r?\n/);
+  const variables = { ...(options.variables || {}) };
+  const random = resolveRandom(options);
+  const lines = [];
+
+  rawLines.forEach((rawLine, index) => {
+    const statements = String(rawLine)
+      .replace(/#.*$/, "")
+      .split(";")
+      .map((statement) => statement.trim())
+      .filter(Boolean);
+    if (statements.length === 0) statements.push("");
+
+    for (const expression of statements) {
+      const entry = { lineNumber: index + 1, source: rawLine, name: null, expression, evaluation: null, error: null };
+      lines.push(entry);
+      if (!expression) continue;
+
+      try {
+        const assignment = expression.match(ASSIGNMENT_REGEX);
+        if (assignment) {
+          entry.name = assignment[1].toLowerCase();
+          entry.expression = assignment[2].trim();
+          assertAssignableName(entry.name);
+          if (!entry.expression) throw new Error(`Missing expression for '${entry.name}'`);
+        }
+
+        const evaluation = evaluateExpressionWithSteps(entry.expression, sampleCount, { ...options, variables, random });
+        if (!evaluation.result) throw new Error("Expression did not produce a value");
+        entry.evaluation = evaluation;
+        if (entry.name) variables[entry.name] = toVariableValue(evaluation);
+      } catch (error) {
+        entry.error = error.message;
+      }
+    }
+  });
+
+  return { lines, variables };
+}
+
+const DEFAULT_PERCENTILES = [5, 25, 50, 75, 95];
+
+// Percentile (0-100) of an ascending array, interpolating linearly between neighbouring ranks
+function getSortedPercentile(sorted, percentile) {
+  if (sorted.length === 0) return NaN;
+  const rank = (Math.min(100, Math.max(0, percentile)) / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Key used for a percentile in results: 5 -> "p05", 80 -> "p80", 99.5 -> "p99.5"
+function getPercentileKey(percentile) {
+  const [whole, fraction] = String(percentile).split(".");
+  return `p${whole.padStart(2, "0")}${fraction ? `.${fraction}` : ""}`;
+}
+
+function getFiniteSamples(samples) {
+  if (!Array.isArray(samples)) return [];
+  return samples.filter((n) => !isNaN(n) && isFinite(n));
 }
 
 // Return 5th and 95th percentiles from sample array, ignoring NaN/Inf
 function getQuantiles(samples) {
-  if (!Array.isArray(samples) || samples.length === 0) return { p05: NaN, p95: NaN };
-  const validSamples = samples.filter((n) => !isNaN(n) && isFinite(n));
-  if (validSamples.length === 0) return { p05: NaN, p95: NaN };
-  const sorted = [...validSamples].sort((a, b) => a - b);
-  const len = sorted.length;
-  const p05Index = Math.max(0, Math.floor(0.05 * len) - 1);
-  const p95Index = Math.min(len - 1, Math.ceil(0.95 * len) - 1);
+  const sorted = getFiniteSamples(samples).sort((a, b) => a - b);
   return {
-    p05: sorted[p05Index],
-    p95: sorted[p95Index],
+    p05: getSortedPercentile(sorted, 5),
+    p95: getSortedPercentile(sorted, 95),
+  };
+}
+
+// Summary statistics over the finite samples: mean, median, sample standard deviation, standard error
+// of the mean, the requested percentiles (options.percentiles, keyed like getPercentileKey) and, when
+// options.threshold is given, P(X > threshold). NaN/Infinity samples are left out and counted in
+// `invalidCount`.
+function getSampleStatistics(samples, options = {}) {
+  const percentiles = options.percentiles || DEFAULT_PERCENTILES;
+  const threshold = options.threshold;
+  const count = Array.isArray(samples) ? samples.length : 0;
+  const sorted = getFiniteSamples(samples).sort((a, b) => a - b);
+  const n = sorted.length;
+
+  const mean = n > 0 ? sorted.reduce((acc, value) => acc + value, 0) / n : NaN;
+  const variance = n > 1 ? sorted.reduce((acc, value) => acc + (value - mean) ** 2, 0) / (n - 1) : n === 1 ? 0 : NaN;
+  const stdDev = Math.sqrt(variance);
+
+  const percentileValues = {};
+  for (const percentile of percentiles) {
+    if (typeof percentile !== "number" || !isFinite(percentile) || percentile < 0 || percentile > 100) {
+      throw new Error(`Percentile must be a number between 0 and 100, got ${percentile}`);
+    }
+    percentileValues[getPercentileKey(percentile)] = getSortedPercentile(sorted, percentile);
+  }
+
+  const stats = {
+    count,
+    validCount: n,
+    invalidCount: count - n,
+    mean,
+    median: getSortedPercentile(sorted, 50),
+    stdDev,
+    standardError: n > 0 ? stdDev / Math.sqrt(n) : NaN,
+    min: n > 0 ? sorted[0] : NaN,
+    max: n > 0 ? sorted[n - 1] : NaN,
+    percentiles: percentileValues,
   };
+  if (typeof threshold === "number") {
+    stats.threshold = threshold;
+    stats.probabilityAbove = n > 0 ? sorted.filter((value) => value > threshold).length / n : NaN;
+  }
+  return stats;
 }
 
 // Nicely format numbers with adaptive precision and optional left padding
@@ -1275,20 +3841,166 @@ function formatNumber(num, padWidth = 0) {
   else if (absNum === 0) str = "0";
   else if (absNum < 1e-6 || absNum >= 1e9) str = num.toExponential(4);
   else {
-    let decimals;
-    if (absNum >= 1000) decimals = 1;
-    else if (absNum >= 100) decimals = 2;
-    else if (absNum >= 10) decimals = 3;
-    else if (absNum >= 1) decimals = 4;
-    else if (absNum >= 0.01) decimals = 5;
-    else decimals = 6;
-
-    str = num.toFixed(decimals);
+    str = num.toFixed(getFixedDecimals(absNum));
     str = str.replace(/\.$/, "");
   }
   return padWidth > 0 ? str.padStart(padWidth) : str;
 }
 
+// Decimal places formatNumber shows for a magnitude: fewer as numbers grow
+function getFixedDecimals(absNum) {
+  if (absNum >= 1000) return 1;
+  if (absNum >= 100) return 2;
+  if (absNum >= 10) return 3;
+  if (absNum >= 1) return 4;
+  if (absNum >= 0.01) return 5;
+  return 6;
+}
+
+// --- Sensitivity analysis ---
+// Ranks (1-based, ties share their average rank) of an array of numbers
+function getRanks(values) {
+  const order = values.map((_, index) => index).sort((a, b) => values[a] - values[b]);
+  const ranks = Array(values.length);
+  for (let start = 0; start < order.length; ) {
+    let end = start;
+    while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+    for (let k = start; k <= end; k++) ranks[order[k]] = (start + end) / 2 + 1;
+    start = end + 1;
+  }
+  return ranks;
+}
+
+// Spearman rank correlation of two sample vectors, skipping pairs with a NaN/Infinity on either side
+function getRankCorrelation(xs, ys) {
+  const indices = xs.map((_, index) => index).filter((index) => isFinite(xs[index]) && isFinite(ys[index]));
+  if (indices.length < 2) return NaN;
+  const rankX = getRanks(indices.map((index) => xs[index]));
+  const rankY = getRanks(indices.map((index) => ys[index]));
+  const meanRank = (indices.length + 1) / 2;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < indices.length; i++) {
+    covariance += (rankX[i] - meanRank) * (rankY[i] - meanRank);
+    varianceX += (rankX[i] - meanRank) ** 2;
+    varianceY += (rankY[i] - meanRank) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return NaN;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// Which inputs of an evaluated value matter most. For every uncertain input, `low`/`high` are the value with
+// that input pinned at its bounds and all others at their means (a tornado swing around `baseline`), and
+// `rankCorrelation` compares the input's samples with the value's. Inputs are sorted by swing, largest first.
+function getSensitivity(value) {
+  const inputs = value ? getValueInputs(value) : {};
+  const ids = Object.keys(inputs);
+  if (!value || !value.evaluateAt || ids.length === 0) return { baseline: value ? value.mean : NaN, inputs: [] };
+
+  const center = Object.fromEntries(ids.map((id) => [id, inputs[id].mean]));
+  const report = ids.map((id) => {
+    const input = inputs[id];
+    const low = value.evaluateAt({ ...center, [id]: input.min });
+    const high = value.evaluateAt({ ...center, [id]: input.max });
+    const canCorrelate = Array.isArray(input.samples) && Array.isArray(value.samples);
+    return {
+      label: input.label || id,
+      min: input.min,
+      max: input.max,
+      low,
+      high,
+      swing: Math.abs(high - low),
+      rankCorrelation: canCorrelate ? getRankCorrelation(input.samples, value.samples) : NaN,
+    };
+  });
+  report.sort((a, b) => (isNaN(b.swing) ? -1 : isNaN(a.swing) ? 1 : b.swing - a.swing));
+  return { baseline: value.evaluateAt(center), inputs: report };
+}
+
+// --- Display formatting ---
+// Settings for numbers shown to people (the page, the text histogram):
+//   locale            BCP 47 tag for grouping and the decimal mark (`de-DE` gives `1.234,5`, `fr-FR` `1 234,5`)
+//   significantDigits round to this many significant figures
+//   siSuffix          scale by thousands with k, M, G or T (`12.3k`), the suffixes number literals accept
+//   roundRanges       show a range at the precision its width supports (`about 12k–18k`)
+// A unit that is a registry currency is placed the locale's way by Intl.NumberFormat (`1 234,50 zł`); any
+// other unit follows the number. Without locale, significant digits or SI suffixes a number keeps the
+// decimal tiers of formatNumber.
+const SI_SUFFIXES = [
+  [12, "T"],
+  [9, "G"],
+  [6, "M"],
+  [3, "k"],
+];
+
+function createNumberFormatter(settings = {}) {
+  const localized = !!(settings.locale || settings.significantDigits || settings.siSuffix);
+
+  const getSiExponent = (value) => {
+    if (!settings.siSuffix) return 0;
+    const entry = SI_SUFFIXES.find(([exponent]) => Math.abs(value) >= 10 ** exponent);
+    return entry ? entry[0] : 0;
+  };
+
+  // `digits` is { significant } or { minimum, maximum } fraction digits of the number after SI scaling
+  const render = (value, unit, exponent, digits) => {
+    const code = unit ? resolveCurrencyName(unit) : null;
+    const options = digits.significant
+      ? { maximumSignificantDigits: digits.significant }
+      : { minimumFractionDigits: digits.minimum, maximumFractionDigits: digits.maximum };
+    if (code) Object.assign(options, { style: "currency", currency: code.toUpperCase(), currencyDisplay: "narrowSymbol" });
+    const parts = new Intl.NumberFormat(settings.locale || undefined, options).formatToParts(value / 10 ** exponent);
+
+    // The SI suffix goes right after the digits, before a trailing currency symbol (`12,3k €`)
+    const suffixEntry = SI_SUFFIXES.find(([entryExponent]) => entryExponent === exponent);
+    if (suffixEntry) {
+      const lastDigit = parts.map((part) => ["integer", "fraction"].includes(part.type)).lastIndexOf(true);
+      parts.splice(lastDigit + 1, 0, { type: "literal", value: suffixEntry[1] });
+    }
+    const text = parts.map((part) => part.value).join("");
+    if (code || !unit) return text;
+    return suffixEntry ? `${text} ${unit}` : `${text}${unit}`;
+  };
+
+  const format = (value, unit = "") => {
+    if (unit === "date") return formatDayNumber(value);
+    if (!localized || !isFinite(value)) return `${formatNumber(value)}${unit}`;
+    const exponent = getSiExponent(value);
+    const code = unit ? resolveCurrencyName(unit) : null;
+    if (settings.significantDigits) return render(value, unit, exponent, { significant: settings.significantDigits });
+    if (exponent > 0) return render(value, unit, exponent, { significant: 3 });
+    if (code) {
+      const decimals = getCurrencyDecimals(code);
+      return render(value, unit, 0, { minimum: decimals, maximum: decimals });
+    }
+    return render(value, unit, 0, { minimum: 0, maximum: getFixedDecimals(Math.abs(value)) });
+  };
+
+  // Widened outwards to the leading digit of the range's width, so `12345 ~ 17890` reads `about 12k–18k`.
+  // The step is never coarser than the larger bound, so `-5 ~ 5` stays `-5–5`.
+  const formatRange = (min, max, unit = "") => {
+    if (!settings.roundRanges || unit === "date" || !isFinite(min) || !isFinite(max)) return `${format(min, unit)} ~ ${format(max, unit)}`;
+    if (min === max) return format(min, unit);
+    const magnitude = Math.min(
+      Math.floor(Math.log10(Math.abs(max - min))),
+      Math.floor(Math.log10(Math.max(Math.abs(min), Math.abs(max)))),
+    );
+    const step = 10 ** magnitude;
+    // `|| 0` turns the -0 of a bound rounded up to zero into 0
+    const low = Math.floor(min / step + 1e-9) * step || 0;
+    const high = Math.ceil(max / step - 1e-9) * step || 0;
+    const exponent = getSiExponent(Math.max(Math.abs(low), Math.abs(high)));
+    const decimals = Math.max(0, exponent - magnitude);
+    const digits = { minimum: 0, maximum: decimals };
+    const text = `${render(low, unit, exponent, digits)}–${render(high, unit, exponent, digits)}`;
+    const isRounded = Math.abs(low - min) > step * 1e-9 || Math.abs(high - max) > step * 1e-9;
+    return isRounded ? `about ${text}` : text;
+  };
+
+  return { format, formatRange };
+}
+
 // Average of valid numeric samples; returns NaN if no usable values
 function calculateSampleMean(samples) {
   if (!Array.isArray(samples) || samples.length === 0) return NaN;
@@ -1298,73 +4010,260 @@ function calculateSampleMean(samples) {
   return sum / validSamples.length;
 }
 
-// Build text lines for a simple histogram of sample distribution
+const HISTOGRAM_METHODS = ["fixed", "freedman-diaconis", "sturges"];
+const MAX_HISTOGRAM_BINS = 200;
+
+// Number of bins for a binning method; data-driven rules fall back to Sturges when the IQR collapses
+function getHistogramBinCount(sorted, low, high, options) {
+  const method = options.method ?? "fixed";
+  if (!HISTOGRAM_METHODS.includes(method)) {
+    throw new Error(`Unknown binning method '${method}' (use ${HISTOGRAM_METHODS.join(", ")})`);
+  }
+  if (method === "fixed") {
+    const bins = options.bins ?? DEFAULT_BINS;
+    if (!Number.isInteger(bins) || bins < 1) throw new Error("Histogram bins must be a positive integer");
+    return bins;
+  }
+
+  const sturges = Math.ceil(Math.log2(sorted.length)) + 1;
+  if (method === "sturges") return sturges;
+
+  const iqr = getSortedPercentile(sorted, 75) - getSortedPercentile(sorted, 25);
+  if (!(iqr > 0)) return sturges;
+  const binWidth = (2 * iqr) / Math.cbrt(sorted.length);
+  return Math.min(MAX_HISTOGRAM_BINS, Math.max(1, Math.ceil((high - low) / binWidth)));
+}
+
+// Bin the finite samples into equal-width bins; the text histogram and the web chart both draw from this.
+// Options: `method` ("fixed" with `bins`, "freedman-diaconis" or "sturges") and `range: [low, high]`,
+// which drops samples outside it into `underflow`/`overflow`. Densities integrate to 1 over the bins, and
+// `mean` is that of the binned samples, so its marker always falls in a bin.
+function getHistogramBins(samples, options = {}) {
+  const validSamples = getFiniteSamples(samples);
+  let low = Infinity;
+  let high = -Infinity;
+  if (options.range) {
+    [low, high] = options.range;
+    if (!isFinite(low) || !isFinite(high) || low > high) {
+      throw new Error("Histogram range must be two finite numbers [low, high] with low <= high");
+    }
+  } else {
+    for (const sample of validSamples) {
+      if (sample < low) low = sample;
+      if (sample > high) high = sample;
+    }
+  }
+
+  const inRange = validSamples.filter((sample) => sample >= low && sample <= high);
+  const underflow = validSamples.filter((sample) => sample < low).length;
+  const overflow = validSamples.length - inRange.length - underflow;
+  const mean = calculateSampleMean(inRange);
+  const empty = { bins: [], min: NaN, max: NaN, mean, count: 0, underflow, overflow, meanBinIndex: -1 };
+  if (inRange.length === 0) return options.range ? { ...empty, min: low, max: high } : empty;
+
+  const summary = { min: low, max: high, mean, count: inRange.length, underflow, overflow };
+  if (low === high) {
+    const bin = { start: low, end: high, count: inRange.length, density: Infinity };
+    return { ...summary, bins: [bin], meanBinIndex: mean === low ? 0 : -1 };
+  }
+
+  const binCount = getHistogramBinCount(inRange.sort((a, b) => a - b), low, high, options);
+  const binSize = (high - low) / binCount;
+  const getBinIndex = (value) => Math.min(binCount - 1, Math.max(0, Math.floor((value - low) / binSize)));
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    start: low + index * binSize,
+    end: index === binCount - 1 ? high : low + (index + 1) * binSize,
+    count: 0,
+    density: 0,
+  }));
+  for (const sample of inRange) bins[getBinIndex(sample)].count++;
+  for (const bin of bins) bin.density = bin.count / (inRange.length * binSize);
+
+  const meanBinIndex = mean >= low && mean <= high ? getBinIndex(mean) : -1;
+  return { ...summary, bins, meanBinIndex };
+}
+
+// Build text lines for a simple histogram of sample distribution. Bin labels follow `options.format` (see
+// createNumberFormatter) in `options.unit`, so "date" labels days
 function generateTextHistogram(samples, options = {}) {
-  const numBins = options.bins ?? DEFAULT_BINS;
   const maxBarWidth = options.width ?? DEFAULT_WIDTH;
   const barChar = (options.barChar ?? DEFAULT_BAR).slice(0, 1) || DEFAULT_BAR;
   const output = [];
   if (!Array.isArray(samples) || samples.length === 0) return ["Histogram unavailable (no samples)."];
 
-  const validSamples = samples.filter((n) => !isNaN(n) && isFinite(n));
-  if (validSamples.length === 0) return ["Cannot generate histogram (no valid numeric samples)."];
-
-  const minVal = Math.min(...validSamples);
-  const maxVal = Math.max(...validSamples);
-  const sampleMean = calculateSampleMean(validSamples);
+  const histogram = getHistogramBins(samples, options);
+  if (histogram.count === 0) {
+    return [options.range ? "Cannot generate histogram (no samples in range)." : "Cannot generate histogram (no valid numeric samples)."];
+  }
 
-  if (minVal === maxVal) {
-    const label = formatNumber(minVal, 7);
+  const formatter = createNumberFormatter(options.format || {});
+  if (histogram.min === histogram.max) {
+    const label = formatter.format(histogram.min, options.unit).padStart(7);
     output.push(`${label} | ${barChar.repeat(maxBarWidth)} (all samples)`);
     return output;
   }
 
-  const binSize = (maxVal - minVal) / numBins;
-  const binCounts = Array(numBins).fill(0);
-  for (const sample of validSamples) {
-    let binIndex = binSize === 0 ? 0 : Math.floor((sample - minVal) / binSize);
-    if (binIndex >= numBins) binIndex = numBins - 1;
-    if (binIndex < 0) binIndex = 0;
-    binCounts[binIndex]++;
-  }
-
-  const maxCount = Math.max(...binCounts);
-  if (maxCount === 0) return ["Cannot generate histogram (counts are zero)."];
-
-  let meanBinIndex = binSize === 0 ? 0 : Math.floor((sampleMean - minVal) / binSize);
-  if (meanBinIndex >= numBins) meanBinIndex = numBins - 1;
-  if (meanBinIndex < 0) meanBinIndex = 0;
-
-  for (let i = numBins - 1; i >= 0; i--) {
-    const binStart = minVal + i * binSize;
-    const count = binCounts[i];
-    const barWidth = maxCount === 0 ? 0 : Math.round((count / maxCount) * maxBarWidth);
+  const maxCount = Math.max(...histogram.bins.map((bin) => bin.count));
+  for (let i = histogram.bins.length - 1; i >= 0; i--) {
+    const bin = histogram.bins[i];
+    const barWidth = Math.round((bin.count / maxCount) * maxBarWidth);
     const bar = barChar.repeat(barWidth);
-    const label = formatNumber(binStart, 7);
+    const label = formatter.format(bin.start, options.unit).padStart(7);
 
     let line = `${label} | ${bar}`;
-    if (i === meanBinIndex) {
-      line += ` (mean≈${formatNumber(sampleMean)})`;
+    if (i === histogram.meanBinIndex) {
+      line += ` (mean≈${formatter.format(histogram.mean, options.unit)})`;
     }
     output.push(line);
   }
   return output;
 }
 
+// JSON has no NaN or Infinity (JSON.stringify writes null), so machine-readable output spells
+// non-finite numbers as these strings and parseEvaluationJson turns them back into numbers.
+const NON_FINITE_ENCODINGS = { NaN: NaN, Infinity: Infinity, "-Infinity": -Infinity };
+const STEP_TERM_NUMBER_FIELDS = ["min", "max", "p05", "p95"];
+
+function encodeNumber(value) {
+  return typeof value === "number" && !isFinite(value) ? String(value) : value;
+}
+
+function decodeNumber(value) {
+  return typeof value === "string" && Object.prototype.hasOwnProperty.call(NON_FINITE_ENCODINGS, value)
+    ? NON_FINITE_ENCODINGS[value]
+    : value;
+}
+
+function mapValues(object, mapper) {
+  const mapped = {};
+  for (const [key, value] of Object.entries(object || {})) mapped[key] = mapper(value);
+  return mapped;
+}
+
+function mapStepTermNumbers(term, mapper) {
+  const mapped = { ...term };
+  for (const field of STEP_TERM_NUMBER_FIELDS) mapped[field] = mapper(term[field]);
+  return mapped;
+}
+
+function serializeEvaluation(evaluation, options = {}) {
+  const result = evaluation && evaluation.result;
+  if (!result) throw new Error("Cannot serialize an evaluation without a result");
+  const steps = evaluation.steps || [];
+  const stepDetails = evaluation.stepDetails || [];
+
+  let statistics = null;
+  if (result.samples) {
+    const { percentiles, ...summary } = getSampleStatistics(result.samples, { percentiles: options.percentiles });
+    statistics = { ...mapValues(summary, encodeNumber), percentiles: mapValues(percentiles, encodeNumber) };
+  }
+
+  const record = {
+    expression: options.expression ?? steps[0] ?? null,
+    currency: evaluation.currency ?? null,
+    unit: evaluation.unit ?? null,
+    probability: !!result.probability,
+    display: result.display ?? null,
+    exact: mapValues({ mean: result.mean, min: result.min, max: result.max }, encodeNumber),
+    statistics,
+    steps: steps.map((step, index) => ({
+      step,
+      terms: ((stepDetails[index] && stepDetails[index].terms) || []).map((term) => mapStepTermNumbers(term, encodeNumber)),
+    })),
+  };
+  if (result.percent) record.percent = true;
+  if (result.dates) record.dates = { ...result.dates };
+  if (result.components) {
+    record.components = result.components.map(({ currency, mean, min, max }) => ({
+      currency,
+      ...mapValues({ mean, min, max }, encodeNumber),
+    }));
+  }
+  if (options.includeSamples && result.samples) record.samples = result.samples.map(encodeNumber);
+  return record;
+}
+
+function evaluationToJson(evaluation, options = {}) {
+  return JSON.stringify(serializeEvaluation(evaluation, options), null, 2);
+}
+
+function parseEvaluationJson(json) {
+  const record = typeof json === "string" ? JSON.parse(json) : json;
+  const parsed = {
+    ...record,
+    exact: mapValues(record.exact, decodeNumber),
+    statistics: record.statistics
+      ? { ...mapValues(record.statistics, decodeNumber), percentiles: mapValues(record.statistics.percentiles, decodeNumber) }
+      : null,
+    steps: (record.steps || []).map((step) => ({
+      ...step,
+      terms: (step.terms || []).map((term) => mapStepTermNumbers(term, decodeNumber)),
+    })),
+  };
+  if (Array.isArray(record.components)) {
+    parsed.components = record.components.map(({ currency, ...amounts }) => ({ currency, ...mapValues(amounts, decodeNumber) }));
+  }
+  if (Array.isArray(record.samples)) parsed.samples = record.samples.map(decodeNumber);
+  return parsed;
+}
+
+function flattenRecord(value, path, rows) {
+  if (value !== null && typeof value === "object") {
+    for (const [key, child] of Object.entries(value)) flattenRecord(child, path ? `${path}.${key}` : key, rows);
+  } else {
+    rows.push([path, value]);
+  }
+}
+
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Two-column field,value table with the JSON record's paths as fields (exact.min, steps.1.step, samples.0),
+// so a spreadsheet gets samples as one column and every number in the same encoding as the JSON.
+function evaluationToCsv(evaluation, options = {}) {
+  const rows = [];
+  flattenRecord(serializeEvaluation(evaluation, options), "", rows);
+  return ["field,value", ...rows.map((row) => row.map(toCsvCell).join(","))].join("\n") + "\n";
+}
+
 const core = {
   DEFAULT_SAMPLES,
   DEFAULT_BINS,
   DEFAULT_WIDTH,
   DEFAULT_BAR,
+  DEFAULT_PERCENTILES,
   tokenize,
   shuntingYard,
   evalRpn,
   evaluateExpression,
   evaluateExpressionWithSteps,
   evaluateCurrencyExpressionWithSteps,
+  evaluateWorksheet,
+  createRandom,
   getQuantiles,
+  getSampleStatistics,
+  getSensitivity,
   formatNumber,
+  createNumberFormatter,
+  formatProbability,
+  getHistogramBins,
   generateTextHistogram,
+  serializeEvaluation,
+  evaluationToJson,
+  evaluationToCsv,
+  parseEvaluationJson,
+  createFrankfurterRateProvider,
+  createStaticRateProvider,
+  createManualRateProvider,
+  createCachedRateProvider,
+  createRateProviderChain,
+  rebaseRateSnapshot,
+  toCurrencyRates,
+  getRateDates,
+  getRateVolatility,
+  getCurrencyInfo,
 };
 
 if (typeof module !== "undefined" && module.exports) {
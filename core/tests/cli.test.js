@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArgs } = require('../bin/unsure');
+
+const CLI = path.join(__dirname, '..', 'bin', 'unsure.js');
+
+function runCli(args, input = '') {
+    return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 20000 });
+}
+
+test('CLI parses flags and keeps negative expressions as positional arguments', () => {
+    const args = parseArgs(['-n', '500', '--bins=8', '--width', '30', '--seed', '7', '-3~5', '*', '2']);
+    assert.strictEqual(args.samples, 500);
+    assert.strictEqual(args.bins, 8);
+    assert.strictEqual(args.width, 30);
+    assert.strictEqual(args.seed, '7');
+    assert.deepStrictEqual(args.positional, ['-3~5', '*', '2']);
+    assert.throws(() => parseArgs(['--bins', '0']), /positive integer/);
+    assert.throws(() => parseArgs(['--verbose']), /Unknown option/);
+});
+
+test('CLI evaluates one expression with steps and a seeded text histogram', () => {
+    const first = runCli(['--seed', '42', '--bins', '5', '7~10 * 17~23']);
+    const second = runCli(['--seed', '42', '--bins', '5', '7~10 * 17~23']);
+    assert.strictEqual(first.status, 0, first.stderr);
+    assert.match(first.stdout, /Exact Range : 119\.00 - 230\.00/);
+    assert.match(first.stdout, /0\. \(7 ~ 10\) \* \(17 ~ 23\)/);
+    assert.match(first.stdout, /Simulated Range \(5%-95%\)/);
+    assert.strictEqual(first.stdout.split('\n').filter((line) => line.includes(' | ')).length, 5);
+    assert.strictEqual(first.stdout, second.stdout);
+});
+
+test('CLI evaluates worksheet files and piped input with local rates', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unsure-cli-'));
+    const ratesFile = path.join(dir, 'rates.json');
+    const worksheetFile = path.join(dir, 'budget.unsure');
+    fs.writeFileSync(ratesFile, JSON.stringify({ base: 'EUR', rates: { USD: 2 } }));
+    fs.writeFileSync(worksheetFile, 'price = 10 usd\ncost = price * 3 to eur\n');
+
+    try {
+        const fromFile = runCli(['--rates', ratesFile, worksheetFile]);
+        assert.strictEqual(fromFile.status, 0, fromFile.stderr);
+        assert.match(fromFile.stdout, /cost = price \* 3 to eur\n {2}= 15\.00eur/);
+        assert.match(fromFile.stdout, /Final Result: 15\.00eur/);
+
+        const piped = runCli(['--no-histogram'], 'x = 1~2\nx - x\ny + 1\n');
+        assert.strictEqual(piped.status, 1);
+        assert.match(piped.stdout, /x - x\n {2}= 0 \(0 ~ 0\)/);
+        assert.match(piped.stderr, /line 3: y \+ 1\n {2}Error: Unknown variable 'y'/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -1,6 +1,36 @@
 const test = require('node:test');
 const assert = require('assert');
-const { tokenize, shuntingYard, evaluateExpression, evaluateExpressionWithSteps, getQuantiles } = require('../calc-core');
+const http = require('http');
+const {
+    tokenize,
+    shuntingYard,
+    evalRpn,
+    evaluateExpression,
+    evaluateExpressionWithSteps,
+    evaluateWorksheet,
+    createRandom,
+    getQuantiles,
+    getSampleStatistics,
+    getSensitivity,
+    getHistogramBins,
+    generateTextHistogram,
+    formatNumber,
+    createNumberFormatter,
+    serializeEvaluation,
+    evaluationToJson,
+    evaluationToCsv,
+    parseEvaluationJson,
+    createFrankfurterRateProvider,
+    createStaticRateProvider,
+    createManualRateProvider,
+    createCachedRateProvider,
+    createRateProviderChain,
+    rebaseRateSnapshot,
+    toCurrencyRates,
+    getRateDates,
+    getRateVolatility,
+    getCurrencyInfo,
+} = require('../calc-core');
 
 test('Tokenizer keeps minus separate from number', () => {
     const tokens = tokenize('1-2');
@@ -50,11 +80,16 @@ test('Currency expression evaluates into PLN with simplification steps', () => {
     assert.strictEqual(Number.isFinite(evaluation.result.mean), true);
 });
 
-test('evaluateExpressionWithSteps falls back to core evaluator for non-currency expressions', () => {
+test('evaluateExpressionWithSteps simplifies plain expressions step by step', () => {
     const evaluation = evaluateExpressionWithSteps('2+3*4');
     assert.strictEqual(evaluation.isCurrencyExpression, false);
     assert.strictEqual(evaluation.result.mean, 14);
-    assert.deepStrictEqual(evaluation.steps, []);
+    assert.deepStrictEqual(evaluation.steps, ['2 + 3 * 4', '2 + 12', '14']);
+
+    const ranged = evaluateExpressionWithSteps('(1~3) * 2 - 1', 64);
+    assert.deepStrictEqual(ranged.steps, ['(1 ~ 3) * 2 - 1', '2 * 2 - 1', '4 - 1', '3']);
+    assert.strictEqual(ranged.result.min, 1);
+    assert.strictEqual(ranged.result.max, 5);
 });
 
 test('Currency conversion can bridge through intermediary rates', () => {
@@ -116,7 +151,7 @@ test('Currency expressions without range stay exact and do not produce samples',
 
 test('Currency range conversion throws when exchange path is missing', () => {
     assert.throws(
-        () => evaluateExpressionWithSteps('(1~2)pln to xyz', 128),
+        () => evaluateExpressionWithSteps('(1~2)pln to thb', 128),
         /Missing exchange rate path/i
     );
 });
@@ -165,3 +200,792 @@ test('Unary and currency subtraction with grouped currency suffix are supported'
     assert.ok(Array.isArray(subtractionEvaluation.result.samples));
     assert.strictEqual(subtractionEvaluation.result.samples.length, 128);
 });
+
+test('Shunting yard emits named distribution calls after their arguments', () => {
+    const rpn = shuntingYard(tokenize('uniform(1, -5) * 2'));
+    assert.deepStrictEqual(rpn, [1, 5, 'NEG', { type: 'call', name: 'uniform', argCount: 2 }, 2, '*']);
+});
+
+test('Named distributions produce exact bounds and samples inside them', () => {
+    const uniform = evaluateExpression('uniform(1, 5)', 256);
+    assert.strictEqual(uniform.mean, 3);
+    assert.strictEqual(uniform.min, 1);
+    assert.strictEqual(uniform.max, 5);
+    assert.strictEqual(uniform.samples.length, 256);
+    assert.ok(uniform.samples.every((x) => x >= 1 && x <= 5));
+
+    const pert = evaluateExpression('pert(1, 3, 10)', 256);
+    assert.strictEqual(pert.min, 1);
+    assert.strictEqual(pert.max, 10);
+    assert.ok(pert.samples.every((x) => x >= 1 && x <= 10));
+
+    const lognormal = evaluateExpression('lognormal(10, 100)', 256);
+    assert.strictEqual(lognormal.min, 10);
+    assert.strictEqual(lognormal.max, 100);
+    assert.ok(lognormal.samples.every((x) => x > 0));
+
+    const poisson = evaluateExpression('poisson(4)', 256);
+    assert.ok(poisson.samples.every((x) => Number.isInteger(x) && x >= 0));
+});
+
+test('Named distributions flow through arithmetic and currency conversion', () => {
+    const scaled = evaluateExpression('triangular(1, 3, 10) * 2 + 1', 128);
+    assert.strictEqual(scaled.min, 3);
+    assert.strictEqual(scaled.max, 21);
+
+    const evaluation = evaluateExpressionWithSteps('10eur * pert(1, 2, 6) to pln', 128);
+    assert.strictEqual(evaluation.currency, 'pln');
+    assert.strictEqual(evaluation.steps[0], '10eur * pert(1, 2, 6) to pln');
+    assert.strictEqual(evaluation.result.display, '105.50pln');
+    assert.strictEqual(evaluation.result.samples.length, 128);
+});
+
+test('Named distributions reject unknown names and wrong arity', () => {
+    assert.throws(() => evaluateExpression('gumbel(1, 2)'), /Unknown function 'gumbel'/);
+    assert.throws(() => evaluateExpression('uniform(1)'), /expects 2 argument/);
+    assert.throws(() => evaluateExpression('triangular(5, 1, 10)'), /min <= mode <= max/);
+});
+
+test('Worksheet resolves assignments across lines and converts currency', () => {
+    const worksheet = evaluateWorksheet(
+        [
+            'rate = 40~60 usd',
+            'hours = 100~300  # estimate',
+            '',
+            'cost = rate * hours to eur',
+        ].join('\n'),
+        256,
+        { currencyRates: { eur: { usd: 2 } } }
+    );
+
+    assert.strictEqual(worksheet.lines.length, 4);
+    assert.ok(worksheet.lines.every((line) => line.error === null));
+    assert.strictEqual(worksheet.lines[2].evaluation, null);
+
+    const cost = worksheet.lines[3];
+    assert.strictEqual(cost.name, 'cost');
+    assert.strictEqual(cost.evaluation.currency, 'eur');
+    assert.strictEqual(cost.evaluation.steps[0], 'rate * hours to eur');
+    assert.strictEqual(cost.evaluation.result.display, '5000.00eur');
+    assert.strictEqual(worksheet.variables.cost.currency, 'eur');
+});
+
+test('Worksheet variables reuse the same sample vector on every reference', () => {
+    const worksheet = evaluateWorksheet('x = 1~2\ny = x * 2\nx - x', 128);
+    const x = worksheet.variables.x;
+    const y = worksheet.lines[1].evaluation.result;
+
+    assert.strictEqual(x.samples.length, 128);
+    assert.deepStrictEqual(y.samples, x.samples.map((value) => value * 2));
+    assert.ok(worksheet.lines[2].evaluation.result.samples.every((value) => value === 0));
+});
+
+test('Worksheet reports per-line errors and keeps evaluating', () => {
+    const worksheet = evaluateWorksheet('a = missing + 1\nb = 2\nto = 3', 16);
+
+    assert.match(worksheet.lines[0].error, /Unknown variable 'missing'/);
+    assert.strictEqual(worksheet.lines[1].evaluation.result.mean, 2);
+    assert.match(worksheet.lines[2].error, /reserved/);
+});
+
+test('Variables can be passed directly to evaluateExpressionWithSteps', () => {
+    const plain = evaluateExpressionWithSteps('x * 3 - 1', 8, { variables: { x: 2 } });
+    assert.strictEqual(plain.result.mean, 5);
+
+    const money = evaluateExpressionWithSteps('price * 2', 8, {
+        variables: { price: { mean: 10, min: 10, max: 10, samples: null, currency: 'eur' } },
+    });
+    assert.strictEqual(money.isCurrencyExpression, true);
+    assert.strictEqual(money.result.display, '20.00eur');
+});
+
+test('Repeated references to a variable share samples and exact bounds', () => {
+    const worksheet = evaluateWorksheet('x = 1~2; x - x\ny = -1~2; y * y', 64);
+    const difference = worksheet.lines[1].evaluation.result;
+    const square = worksheet.lines[3].evaluation.result;
+
+    assert.strictEqual(worksheet.lines[1].lineNumber, 1);
+    assert.strictEqual(difference.min, 0);
+    assert.strictEqual(difference.max, 0);
+    assert.ok(difference.samples.every((value) => value === 0));
+
+    assert.strictEqual(square.min, 0);
+    assert.strictEqual(square.max, 4);
+
+    // Input ids are counted per evaluation, not per process
+    const inputIds = () => Object.keys(evaluateExpression('(1~2) * (3~4)', 64, { seed: 1 }).inputs);
+    const first = inputIds();
+    evaluateWorksheet('a = 5~6\nb = a + 1~2', 64);
+    assert.deepStrictEqual(inputIds(), first);
+});
+
+test('Independent ranges keep naive interval bounds', () => {
+    const result = evaluateExpression('(1~2) - (1~2)', 64);
+    assert.strictEqual(result.min, -1);
+    assert.strictEqual(result.max, 1);
+});
+
+test('Currency variables avoid the dependency problem through conversion', () => {
+    const worksheet = evaluateWorksheet('p = 10~20 eur\nq = p + 1eur\nq - p\n(p - p) * 2 to pln', 64);
+
+    assert.strictEqual(worksheet.lines[2].evaluation.result.min, 1);
+    assert.strictEqual(worksheet.lines[2].evaluation.result.max, 1);
+    assert.strictEqual(worksheet.lines[3].evaluation.result.min, 0);
+    assert.strictEqual(worksheet.lines[3].evaluation.result.max, 0);
+});
+
+test('Math functions map samples and exact bounds of uncertain values', () => {
+    const root = evaluateExpression('sqrt(4~16)', 128);
+    assert.strictEqual(root.mean, Math.sqrt(10));
+    assert.strictEqual(root.min, 2);
+    assert.strictEqual(root.max, 4);
+    assert.ok(root.samples.every((value, index) => Number.isNaN(value) || value >= 0));
+
+    const absolute = evaluateExpression('abs(-1~2)', 128);
+    assert.strictEqual(absolute.min, 0);
+    assert.strictEqual(absolute.max, 2);
+    assert.ok(absolute.samples.every((value) => value >= 0));
+
+    const cosine = evaluateExpression('cos(0~4)', 16);
+    assert.strictEqual(cosine.min, -1);
+    assert.strictEqual(cosine.max, 1);
+
+    assert.strictEqual(evaluateExpression('sin(pi / 2)').mean, 1);
+    assert.strictEqual(evaluateExpression('round(3.14159, 2)').mean, 3.14);
+});
+
+test('Multi-argument math functions work on sample vectors', () => {
+    const clamped = evaluateExpression('clamp(0~10, 2, 5)', 256);
+    assert.strictEqual(clamped.min, 2);
+    assert.strictEqual(clamped.max, 5);
+    assert.ok(clamped.samples.every((value) => value >= 2 && value <= 5));
+
+    const maximum = evaluateExpression('max(1~3, 2)', 256);
+    assert.strictEqual(maximum.min, 2);
+    assert.strictEqual(maximum.max, 3);
+    assert.ok(maximum.samples.every((value) => value >= 2));
+
+    const worksheet = evaluateWorksheet('x = 0~3; max(x, 3 - x)', 64);
+    assert.strictEqual(worksheet.lines[1].evaluation.result.min, 1.5);
+    assert.strictEqual(worksheet.lines[1].evaluation.result.max, 3);
+});
+
+test('Math functions keep currencies where it makes sense', () => {
+    const rounded = evaluateExpressionWithSteps('round(12.345usd) * 2', 16);
+    assert.strictEqual(rounded.currency, 'usd');
+    assert.strictEqual(rounded.result.display, '24.00usd');
+
+    const largest = evaluateExpressionWithSteps('max(10eur, 40~50 pln) to eur', 64);
+    assert.strictEqual(largest.currency, 'eur');
+    assert.ok(largest.result.samples.every((value) => value >= 10));
+
+    assert.throws(() => evaluateExpressionWithSteps('sqrt(4usd)'), /supports scalar values only/);
+    assert.throws(() => evaluateExpression('sqrt(1, 2)'), /expects 1 argument/);
+});
+
+test('Physical units convert through compound targets', () => {
+    const speed = evaluateExpressionWithSteps('3~5 km / 20 min to km/h', 512);
+    assert.strictEqual(speed.unit, 'km/h');
+    assert.strictEqual(speed.currency, null);
+    assert.strictEqual(speed.result.min, 9);
+    assert.strictEqual(speed.result.max, 15);
+    assert.strictEqual(speed.steps[speed.steps.length - 1], '12km/h');
+
+    const distance = evaluateExpressionWithSteps('5 km + 300 m');
+    assert.strictEqual(distance.unit, 'km');
+    assert.strictEqual(distance.result.mean, 5.3);
+
+    const energy = evaluateExpressionWithSteps('2 kW * 3 h to kWh');
+    assert.strictEqual(energy.unit, 'kWh');
+    assert.ok(Math.abs(energy.result.mean - 6) < 1e-9);
+});
+
+test('Units cancel into money amounts', () => {
+    const storage = evaluateExpressionWithSteps('200 GB * 0.02 usd/GB');
+    assert.strictEqual(storage.currency, 'usd');
+    assert.strictEqual(storage.result.display, '4.00usd');
+
+    const power = evaluateExpressionWithSteps('10~20 kWh * 0.3 eur/kWh to pln', 512, {
+        currencyRates: { eur: { pln: 4 } },
+    });
+    assert.strictEqual(power.currency, 'pln');
+    assert.strictEqual(power.result.min, 12);
+    assert.strictEqual(power.result.max, 24);
+    assert.ok(power.result.samples.every((value) => Number.isFinite(value)));
+
+    const ratio = evaluateExpressionWithSteps('10eur / 5pln', 16, { currencyRates: { eur: { pln: 4 } } });
+    assert.strictEqual(ratio.unit, null);
+    assert.strictEqual(ratio.result.mean, 8);
+});
+
+test('Mismatched dimensions are rejected', () => {
+    assert.throws(() => evaluateExpressionWithSteps('5 km + 3 kg'), /Cannot add km and kg values/);
+    assert.throws(() => evaluateExpressionWithSteps('5 km + 3'), /Cannot add km and scalar values/);
+    assert.throws(() => evaluateExpressionWithSteps('5 km to eur'), /Cannot convert km value to eur/);
+    assert.throws(() => evaluateExpressionWithSteps('sqrt(4 km)'), /supports scalar values only/);
+});
+
+test('Worksheet variables keep their units', () => {
+    const worksheet = evaluateWorksheet(['speed = 50~70 km/h', 'trip = speed * 2 h', 'trip to mi', 'trip - trip'], 256);
+    assert.strictEqual(worksheet.lines[1].evaluation.unit, 'km');
+    assert.strictEqual(worksheet.lines[1].evaluation.result.min, 100);
+    assert.strictEqual(worksheet.lines[1].evaluation.result.max, 140);
+    assert.strictEqual(worksheet.lines[2].evaluation.unit, 'mi');
+    assert.strictEqual(worksheet.lines[3].evaluation.result.max, 0);
+});
+
+test('Seeded evaluations reproduce the same samples', () => {
+    const first = evaluateExpression('pert(1, 2, 6) * 10~20 + uniform(0, 1)', 256, { seed: 42 });
+    const second = evaluateExpression('pert(1, 2, 6) * 10~20 + uniform(0, 1)', 256, { seed: '42' });
+    assert.deepStrictEqual(first.samples, second.samples);
+
+    const other = evaluateExpression('pert(1, 2, 6) * 10~20 + uniform(0, 1)', 256, { seed: 7 });
+    assert.notDeepStrictEqual(first.samples, other.samples);
+
+    const money = () => evaluateExpressionWithSteps('lognormal(10, 40) * 40~60 usd', 128, { seed: 'share-me' });
+    assert.deepStrictEqual(money().result.samples, money().result.samples);
+
+    const sheet = () => evaluateWorksheet('a = 1~2\nb = 1~2\na + beta(2, 3)', 128, { seed: 3 });
+    const sheetA = sheet();
+    assert.deepStrictEqual(sheetA.lines[2].evaluation.result.samples, sheet().lines[2].evaluation.result.samples);
+    // Lines share one stream, so equal ranges on different lines still get different draws
+    assert.notDeepStrictEqual(sheetA.variables.a.samples, sheetA.variables.b.samples);
+});
+
+test('Random sources keep independent state and accept custom generators', () => {
+    const a = createRandom(1);
+    const b = createRandom(1);
+    const drawsA = [a.gaussian(0, 1), a.next(), a.gaussian(0, 1)];
+    b.next();
+    const c = createRandom(1);
+    assert.deepStrictEqual(drawsA, [c.gaussian(0, 1), c.next(), c.gaussian(0, 1)]);
+    assert.ok(drawsA.every((value) => Number.isFinite(value)));
+
+    let calls = 0;
+    const constant = () => {
+        calls++;
+        return 0.25;
+    };
+    const result = evaluateExpression('uniform(0, 8)', 4, { random: constant });
+    assert.deepStrictEqual(result.samples, [2, 2, 2, 2]);
+    assert.strictEqual(calls, 4);
+});
+
+test('Sample statistics cover percentiles, spread and exceedance', () => {
+    const stats = getSampleStatistics([4, 1, 3, 2, NaN, Infinity], { percentiles: [80, 99.5], threshold: 2.5 });
+    assert.strictEqual(stats.count, 6);
+    assert.strictEqual(stats.validCount, 4);
+    assert.strictEqual(stats.invalidCount, 2);
+    assert.strictEqual(stats.mean, 2.5);
+    assert.strictEqual(stats.median, 2.5);
+    assert.ok(Math.abs(stats.stdDev - Math.sqrt(5 / 3)) < 1e-12);
+    assert.ok(Math.abs(stats.standardError - stats.stdDev / 2) < 1e-12);
+    assert.deepStrictEqual(Object.keys(stats.percentiles), ['p80', 'p99.5']);
+    assert.ok(Math.abs(stats.percentiles.p80 - 3.4) < 1e-12);
+    assert.strictEqual(stats.probabilityAbove, 0.5);
+
+    assert.deepStrictEqual(Object.keys(getSampleStatistics([1, 2]).percentiles), ['p05', 'p25', 'p50', 'p75', 'p95']);
+    assert.ok(Number.isNaN(getSampleStatistics(null).median));
+    assert.throws(() => getSampleStatistics([1], { percentiles: [120] }), /between 0 and 100/);
+});
+
+test('Quantiles interpolate between ranks', () => {
+    const samples = Array.from({ length: 101 }, (_, index) => 100 - index);
+    assert.deepStrictEqual(getQuantiles(samples), { p05: 5, p95: 95 });
+    assert.deepStrictEqual(getQuantiles([NaN]), { p05: NaN, p95: NaN });
+
+    const budget = evaluateExpressionWithSteps('1000~2000 eur', 2000, { seed: 11 });
+    const chance = getSampleStatistics(budget.result.samples, { threshold: 1500 }).probabilityAbove;
+    assert.ok(chance > 0.4 && chance < 0.6);
+});
+
+test('Comparisons evaluate to probabilities over the samples', () => {
+    const chance = evaluateExpression('P(1~2 > 1.5)', 4000, { seed: 3 });
+    assert.strictEqual(chance.probability, true);
+    assert.ok(chance.mean > 0.45 && chance.mean < 0.55);
+    assert.strictEqual(chance.min, chance.mean);
+
+    assert.strictEqual(evaluateExpression('3 >= 2').mean, 1);
+    assert.strictEqual(evaluateExpression('2 + 1 < 2').mean, 0);
+    assert.deepStrictEqual(tokenize('1 <= 2'), [1, '<=', 2]);
+
+    const shown = evaluateExpressionWithSteps('P(3usd > 2usd)');
+    assert.strictEqual(shown.result.display, '100.0%');
+    assert.strictEqual(shown.result.probability, true);
+    assert.strictEqual(shown.steps[0], 'P(3usd > 2usd)');
+    assert.strictEqual(evaluateExpressionWithSteps('p(1~2 > 1.5)', 100, { seed: 3 }).steps[0], 'P((1 ~ 2) > 1.5)');
+
+    assert.throws(() => evaluateExpression('P(3)'), /comparison/);
+    assert.throws(() => evaluateExpressionWithSteps('5 km > 3 kg'), /Cannot compare km and kg values/);
+});
+
+test('Worksheet comparisons and sample queries keep units and correlation', () => {
+    const worksheet = evaluateWorksheet('cost = 40~60 usd * 100\ncost > 5000~6000\nP(cost > cost)\np90(cost)\nstddev(cost)\nmean(1~2)', 4000, { seed: 5 });
+    const [, over, self, p90, spread, mean] = worksheet.lines.map((line) => line.evaluation.result);
+
+    assert.strictEqual(over.probability, true);
+    assert.ok(over.mean > 0.2 && over.mean < 0.45);
+    assert.strictEqual(self.mean, 0);
+    assert.strictEqual(p90.unit, 'usd');
+    assert.ok(p90.mean > 5500 && p90.mean < 6200);
+    assert.strictEqual(p90.min, p90.max);
+    assert.strictEqual(spread.unit, 'usd');
+    assert.ok(spread.mean > 450 && spread.mean < 750);
+    assert.ok(Math.abs(mean.mean - 1.5) < 0.05);
+});
+
+test('Histogram bins expose edges, counts and the mean bin', () => {
+    const histogram = getHistogramBins([0, 1, 2, 3, 4, 10, NaN], { bins: 5 });
+    assert.strictEqual(histogram.count, 6);
+    assert.deepStrictEqual(histogram.bins.map((bin) => bin.count), [2, 2, 1, 0, 1]);
+    assert.strictEqual(histogram.bins[0].start, 0);
+    assert.strictEqual(histogram.bins[4].end, 10);
+    assert.strictEqual(histogram.meanBinIndex, 1);
+
+    assert.deepStrictEqual(getHistogramBins([7, 7]).bins, [{ start: 7, end: 7, count: 2, density: Infinity }]);
+    assert.strictEqual(getHistogramBins([NaN]).bins.length, 0);
+    assert.strictEqual(generateTextHistogram([0, 1, 2, 3, 4, 10], { bins: 5 }).length, 5);
+});
+
+test('Histogram binning methods, densities and explicit ranges', () => {
+    const samples = evaluateExpression('0~100', 1000, { seed: 9 }).samples;
+
+    const sturges = getHistogramBins(samples, { method: 'sturges' });
+    assert.strictEqual(sturges.bins.length, 11);
+    const area = sturges.bins.reduce((sum, bin) => sum + bin.density * (bin.end - bin.start), 0);
+    assert.ok(Math.abs(area - 1) < 1e-9);
+
+    const fd = getHistogramBins(samples, { method: 'freedman-diaconis' });
+    const binWidth = fd.bins[0].end - fd.bins[0].start;
+    assert.ok(fd.bins.length > 11 && fd.bins.length < 40);
+    assert.ok(binWidth > 0);
+
+    const clipped = getHistogramBins(samples, { bins: 4, range: [0, 100] });
+    assert.deepStrictEqual(clipped.bins.map((bin) => bin.start), [0, 25, 50, 75]);
+    assert.strictEqual(clipped.count + clipped.underflow + clipped.overflow, 1000);
+    assert.ok(clipped.underflow > 0 && clipped.overflow > 0);
+    // The mean marker follows the binned samples, not the clipped outliers
+    assert.strictEqual(getHistogramBins([0, 1, 2, 100], { bins: 2, range: [0, 2] }).meanBinIndex, 1);
+    assert.deepStrictEqual(generateTextHistogram(samples, { range: [500, 600] }), ['Cannot generate histogram (no samples in range).']);
+
+    assert.throws(() => getHistogramBins(samples, { method: 'scott' }), /Unknown binning method 'scott'/);
+    assert.throws(() => getHistogramBins(samples, { range: [5, 1] }), /Histogram range/);
+});
+
+test('Plain and unit expressions share one parser and evaluator', () => {
+    assert.deepStrictEqual(tokenize('5km + 2 to m'), [5, 'km', '+', 2, 'to', 'm']);
+
+    const legacy = evaluateExpression('uniform(1, 5) * 2 - 1~2', 256, { seed: 4 });
+    const unified = evaluateExpressionWithSteps('uniform(1, 5) * 2 - 1~2', 256, { seed: 4 }).result;
+    assert.deepStrictEqual(unified.samples, legacy.samples);
+    assert.strictEqual(unified.min, legacy.min);
+
+    const distance = evaluateExpression('3~5 km * 2 to m', 64);
+    assert.strictEqual(distance.unit.m, 1);
+    assert.strictEqual(distance.min, 6000);
+
+    assert.strictEqual(evaluateExpression('-2^2').mean, evaluateExpressionWithSteps('-2^2').result.mean);
+    assert.strictEqual(evaluateExpression(''), null);
+    assert.strictEqual(evaluateExpressionWithSteps('  ').result, null);
+    assert.throws(() => evaluateExpression('missing * 2'), /Unknown variable 'missing'/);
+    assert.throws(() => evaluateExpression('(1~2)~3'), /Operands for '~' must be exact/);
+});
+
+test('Step details give every folded sub-term its exact and simulated interval', () => {
+    const evaluation = evaluateExpressionWithSteps('(7~10) * (17~23) + 5', 2000, { seed: 2 });
+    assert.deepStrictEqual(evaluation.steps, ['(7 ~ 10) * (17 ~ 23) + 5', '8.5 * 20 + 5', '170 + 5', '175']);
+    assert.deepStrictEqual(evaluation.stepDetails.map((detail) => detail.step), evaluation.steps);
+    assert.deepStrictEqual(evaluation.stepDetails[0].terms, []);
+
+    const [first, second] = evaluation.stepDetails[1].terms;
+    assert.strictEqual(first.expression, '7 ~ 10');
+    assert.strictEqual(first.min, 7);
+    assert.strictEqual(second.max, 23);
+    const product = evaluation.stepDetails[2].terms[0];
+    assert.strictEqual(product.expression, '(7 ~ 10) * (17 ~ 23)');
+    assert.deepStrictEqual([product.min, product.max], [119, 230]);
+    assert.ok(product.p05 > 119 && product.p95 < 230 && product.p05 < product.p95);
+
+    const money = evaluateExpressionWithSteps('2 * 3usd - -1usd to usd * (1~2)', 500, { seed: 2 });
+    const tail = money.stepDetails[money.stepDetails.length - 1].terms[0];
+    assert.strictEqual(tail.expression, '7usd * 1.5');
+    assert.strictEqual(tail.unit, 'usd');
+    assert.ok(money.stepDetails.every((detail) => detail.terms.every((term) => term.expression !== '-1usd')));
+});
+
+test('Sensitivity ranks inputs by tornado swing and rank correlation', () => {
+    const worksheet = evaluateWorksheet('rate = 40~60 usd\nhours = 100~300\ncost = rate * hours + uniform(0, 100) usd', 2000, { seed: 6 });
+    const sensitivity = getSensitivity(worksheet.lines[2].evaluation.result);
+
+    assert.strictEqual(sensitivity.baseline, 10050);
+    assert.deepStrictEqual(sensitivity.inputs.map((input) => input.label), ['hours', 'rate', 'uniform(0, 100)']);
+    const [hours, rate] = sensitivity.inputs;
+    assert.deepStrictEqual([hours.low, hours.high, hours.swing], [5050, 15050, 10000]);
+    assert.deepStrictEqual([rate.low, rate.high], [8050, 12050]);
+    assert.ok(hours.rankCorrelation > 0.85 && hours.rankCorrelation <= 1);
+    assert.ok(rate.rankCorrelation > 0.2 && rate.rankCorrelation < hours.rankCorrelation);
+
+    const inverse = getSensitivity(evaluateExpression('100 / (1~2)', 500, { seed: 6 }));
+    assert.strictEqual(inverse.inputs[0].label, '1 ~ 2');
+    assert.ok(inverse.inputs[0].low > inverse.inputs[0].high);
+    assert.ok(inverse.inputs[0].rankCorrelation < -0.99);
+
+    assert.deepStrictEqual(getSensitivity(evaluateExpression('2 * 3')).inputs, []);
+});
+
+test('Serialized evaluations round-trip non-finite numbers through JSON and CSV', () => {
+    const evaluation = evaluateExpressionWithSteps('sqrt(-1~1) + ln(0~1)', 200, { seed: 4 });
+    const record = serializeEvaluation(evaluation, { includeSamples: true });
+    assert.strictEqual(record.expression, 'sqrt(-1 ~ 1) + ln(0 ~ 1)');
+    assert.strictEqual(record.exact.min, '-Infinity');
+    assert.strictEqual(record.statistics.invalidCount, record.samples.filter((value) => value === 'NaN').length);
+    assert.ok(record.statistics.invalidCount > 0);
+
+    const parsed = parseEvaluationJson(evaluationToJson(evaluation, { includeSamples: true }));
+    assert.strictEqual(parsed.exact.min, -Infinity);
+    assert.deepStrictEqual(parsed.samples, evaluation.result.samples);
+    assert.deepStrictEqual(parsed.steps, evaluation.stepDetails);
+    assert.strictEqual(parseEvaluationJson(evaluationToJson(evaluation)).samples, undefined);
+
+    const csv = evaluationToCsv(evaluateExpressionWithSteps('10~20 eur to pln', 50, { seed: 4 }), {
+        expression: 'cost, "eur"',
+        percentiles: [90],
+    });
+    const lines = csv.trim().split('\n');
+    assert.strictEqual(lines[0], 'field,value');
+    assert.ok(lines.includes('expression,"cost, ""eur"""'));
+    assert.ok(lines.includes('currency,pln'));
+    assert.ok(lines.includes('exact.min,42.2'));
+    assert.ok(lines.some((line) => line.startsWith('statistics.percentiles.p90,')));
+    assert.ok(lines.includes('steps.1.terms.0.expression,10 ~ 20eur'));
+    assert.ok(!lines.some((line) => line.startsWith('samples.')));
+    assert.throws(() => serializeEvaluation({ steps: [], result: null }), /without a result/);
+});
+
+// Frankfurter-like stub: /down/* fails, /<date> answers with that date (Saturdays with the Friday fixing)
+async function startRateServer(requests) {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url.pathname + url.search);
+        if (url.pathname.startsWith('/down/')) {
+            res.statusCode = 503;
+            res.end();
+            return;
+        }
+        const requested = url.pathname.slice(1);
+        const date = requested === 'latest' ? '2026-10-16' : requested === '2024-03-02' ? '2024-03-01' : requested;
+        const rates = requested === 'latest' ? { PLN: 3.9, EUR: 0.9 } : { PLN: 4, EUR: 0.92 };
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ amount: 1, base: url.searchParams.get('base'), date, rates }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return { server, origin: `http://127.0.0.1:${server.address().port}` };
+}
+
+function createMemoryStorage() {
+    const stored = new Map();
+    return { stored, getItem: (key) => stored.get(key) ?? null, setItem: (key, value) => stored.set(key, value) };
+}
+
+test('FX rate providers load from a stub server, cache per day and fall back in priority order', async () => {
+    const requests = [];
+    const { server, origin } = await startRateServer(requests);
+
+    try {
+        const frankfurter = createFrankfurterRateProvider({
+            base: 'usd',
+            symbols: ['pln', 'eur'],
+            endpoints: [`${origin}/down`, origin],
+        });
+        const live = await frankfurter.load();
+        assert.deepStrictEqual(live, { source: 'frankfurter', base: 'USD', rates: { PLN: 3.9, EUR: 0.9 }, rateDate: '2026-10-16' });
+        assert.deepStrictEqual(requests, ['/down/latest?base=USD&symbols=PLN,EUR', '/latest?base=USD&symbols=PLN,EUR']);
+        assert.strictEqual(evaluateExpression('10 usd to pln', 1, { currencyRates: toCurrencyRates(live) }).mean, 39);
+        assert.deepStrictEqual(rebaseRateSnapshot(live, 'eur').rates, { USD: 1 / 0.9, PLN: 3.9 / 0.9 });
+
+        const storage = createMemoryStorage();
+        let day = '2026-10-18';
+        const cached = createCachedRateProvider(frankfurter, { storage, today: () => day });
+        await cached.load();
+        const requestCount = requests.length;
+        assert.strictEqual((await cached.load()).cached, true);
+        assert.strictEqual(requests.length, requestCount);
+
+        // Next day with the server gone: the stale cache still answers, then the chain falls back
+        day = '2026-10-19';
+        const offline = createFrankfurterRateProvider({ base: 'USD', endpoints: [`${origin}/down`] });
+        const stale = await createCachedRateProvider(offline, { storage, today: () => day }).load();
+        assert.strictEqual(stale.cached, true);
+        assert.match(stale.error, /HTTP 503/);
+
+        const manual = createManualRateProvider('eur');
+        const fallback = createStaticRateProvider({ eur: { pln: 4.22 } }, { name: 'fallback' });
+        const chain = createRateProviderChain([manual, offline, fallback]);
+        const snapshot = await chain.load();
+        assert.strictEqual(snapshot.source, 'fallback');
+        assert.deepStrictEqual(snapshot.rates, { PLN: 4.22 });
+        assert.strictEqual(snapshot.errors.length, 2);
+        assert.match(snapshot.errors[1], /^frankfurter: .*HTTP 503/);
+
+        manual.setRate('pln', 4.3);
+        assert.deepStrictEqual((await chain.load()).rates, { PLN: 4.3 });
+        assert.throws(() => manual.setRate('usd', -1), /positive number/);
+        await assert.rejects(createRateProviderChain([offline]).load(), /No FX rates available/);
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+});
+
+test('Conversions on a date use that day\'s rates, loaded and cached by date', async () => {
+    assert.deepStrictEqual(getRateDates('a = 5 usd to eur on 2024-03-02\nb = a to pln on 2024-03-02 # on 2024-01-05'), [
+        '2024-03-02',
+        '2024-01-05',
+    ]);
+    assert.throws(() => evaluateExpressionWithSteps('500usd to eur on 2024-03-02'), /Missing exchange rates for 2024-03-02/);
+    assert.throws(() => evaluateExpressionWithSteps('500usd to eur on 2024-02-30'), /Invalid date '2024-02-30'/);
+    assert.throws(() => evaluateExpressionWithSteps('500usd on 2024-03-02'), /must follow the 'to <currency>' conversion/);
+    assert.strictEqual(evaluateWorksheet('on = 2\non * 3').lines[1].evaluation.result.mean, 6);
+
+    const requests = [];
+    const { server, origin } = await startRateServer(requests);
+    try {
+        const storage = createMemoryStorage();
+        const provider = createCachedRateProvider(createFrankfurterRateProvider({ base: 'USD', endpoints: [origin] }), { storage });
+        const snapshot = await provider.load({ date: '2024-03-02' });
+        assert.strictEqual(snapshot.rateDate, '2024-03-01');
+        assert.strictEqual((await provider.load({ date: '2024-03-02' })).cached, true);
+        assert.deepStrictEqual(requests, ['/2024-03-02?base=USD']);
+        assert.deepStrictEqual(Object.keys(JSON.parse(storage.stored.get('unsureCalcFx.v1.dates'))), ['2024-03-02']);
+        await assert.rejects(createStaticRateProvider({ base: 'EUR', rates: { PLN: 4.22 } }).load({ date: '2024-03-02' }), /No rates/);
+
+        const evaluation = evaluateExpressionWithSteps('500usd to eur on 2024-03-02 * 2', 100, {
+            historicalRates: { '2024-03-02': snapshot },
+        });
+        assert.deepStrictEqual(evaluation.steps, [
+            '500usd to eur on 2024-03-02 * 2',
+            '460eur * 2 (rates of 2024-03-01)',
+            '920eur',
+        ]);
+        assert.strictEqual(evaluation.rateDate, '2024-03-01');
+        // Today's rates are untouched by a dated conversion elsewhere
+        assert.strictEqual(evaluateExpression('10 eur to pln').mean, 42.2);
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+});
+
+test('Uncertain exchange rates are sampled in conversions and shared across worksheet lines', () => {
+    const options = { seed: 7, currencyRates: { usd: { pln: '3.8~4.2' } } };
+    const evaluation = evaluateExpressionWithSteps('100 usd to pln', 5000, options);
+    assert.deepStrictEqual(evaluation.steps, ['100usd to pln', '400pln (rate usd->pln 3.8 ~ 4.2)']);
+    assert.strictEqual(evaluation.stepDetails[1].terms[0].expression, 'rate usd->pln');
+    assert.strictEqual(evaluation.result.mean, 400);
+    assert.deepStrictEqual([evaluation.result.min, evaluation.result.max], [380, 420]);
+    const { p05, p95 } = getQuantiles(evaluation.result.samples);
+    assert.ok(Math.abs(p05 - 380) < 3 && Math.abs(p95 - 420) < 3);
+    assert.deepStrictEqual(getSensitivity(evaluation.result).inputs.map((input) => input.label), ['rate usd->pln']);
+
+    const inverse = evaluateExpression('1000 pln to usd', 1000, { currencyRates: { usd: { pln: [3.8, 4.2] } } });
+    assert.deepStrictEqual([inverse.min, inverse.max], [238.1, 263.16]);
+
+    // Both lines draw the same rate, so the difference is zero up to cent rounding
+    const worksheet = evaluateWorksheet('a = 100 usd to pln\nb = 200 usd to pln\nb - 2 * a', 2000, options);
+    const difference = worksheet.lines[2].evaluation.result;
+    assert.deepStrictEqual([difference.min, difference.max], [0, 0]);
+    assert.ok(difference.samples.every((value) => Math.abs(value) <= 0.01 + 1e-9));
+
+    const volatile = evaluateExpression('100 usd to pln', 5000, {
+        seed: 7,
+        currencyRates: { usd: { pln: { rate: 4, volatility: 0.1, years: 0.25 } } },
+    });
+    assert.strictEqual(volatile.mean, 400);
+    assert.ok(volatile.min > 360 && volatile.max < 440 && volatile.min < 400);
+    // Exact rates keep exact conversions
+    assert.strictEqual(evaluateExpression('10 eur to pln').samples, null);
+
+    assert.ok(Math.abs(getRateVolatility([100, 110, 100, 110], { periodsPerYear: 1 }) - 0.1100) < 1e-3);
+    assert.throws(() => getRateVolatility([4.2, 4.3]), /at least three/);
+});
+
+test('Currencies come from the ISO 4217 registry, with symbols, aliases and minor units', () => {
+    const rates = { currencyRates: { usd: { pln: 4, jpy: 150, kwd: 0.3 } } };
+    assert.deepStrictEqual(evaluateExpressionWithSteps('$120 + €50 to pln', 100, rates).steps, [
+        '120usd + 50eur to pln',
+        '480pln + 211pln (usd->pln 4, eur->pln 4.22)',
+        '691pln',
+    ]);
+    assert.strictEqual(evaluateExpressionWithSteps('120zł to dollars', 100, rates).result.display, '30.00usd');
+    assert.strictEqual(evaluateExpressionWithSteps('3 euros to zloty').result.display, '12.66pln');
+
+    // JPY has no minor unit and KWD has three decimals
+    assert.strictEqual(evaluateExpressionWithSteps('10.5 usd to ¥', 100, rates).result.display, '1575jpy');
+    assert.strictEqual(evaluateExpression('1 pln to jpy', 100, rates).mean, 38);
+    assert.strictEqual(evaluateExpressionWithSteps('10.01 usd to kwd', 100, rates).result.display, '3.003kwd');
+    assert.deepStrictEqual(getCurrencyInfo('zł'), { code: 'PLN', name: 'Polish zloty', decimals: 2 });
+    assert.strictEqual(getCurrencyInfo('dollars').code, 'USD');
+    assert.strictEqual(getCurrencyInfo('abc'), null);
+
+    assert.throws(() => evaluateExpression('10abc'), /^Error: Unknown currency 'abc'$/);
+    assert.throws(() => evaluateExpressionWithSteps('10usdd to pln'), /Unknown currency 'usdd'. Did you mean 'usd', 'bsd' or 'rsd'\?/);
+    assert.throws(() => evaluateExpressionWithSteps('10 usd to plm'), /Unknown currency 'plm'. Did you mean 'pln'\?/);
+    // Codes outside the registry are currencies once rates define them
+    assert.strictEqual(evaluateExpression('2 btc to usd', 100, { currencyRates: { btc: { usd: 60000 } } }).mean, 120000);
+});
+
+test('Mixed-currency sums keep their parts until a conversion converts each leg', () => {
+    const options = { seed: 5, currencyRates: { usd: { pln: 4 }, eur: { pln: 4.22 } } };
+    const bag = evaluateExpressionWithSteps('(120usd + 50eur) * 2', 100, options);
+    assert.deepStrictEqual(bag.steps, ['(120usd + 50eur) * 2', '240usd + 100eur']);
+    assert.strictEqual(bag.result.display, '240 USD + 100 EUR');
+    assert.deepStrictEqual(
+        bag.result.components.map(({ currency, mean }) => [currency, mean]),
+        [['usd', 240], ['eur', 100]]
+    );
+    // With a rate path from every part, the value is the total in the first currency
+    assert.strictEqual(bag.result.mean, 345.5);
+    assert.strictEqual(evaluateExpressionWithSteps('120usd + 50eur - 50eur', 100, options).result.display, '120.00usd');
+    // A single currency left stays in that currency
+    const collapsed = evaluateExpressionWithSteps('120usd - 120usd + 50eur', 100, options);
+    assert.strictEqual(collapsed.result.display, '50.00eur');
+    assert.strictEqual(collapsed.result.mean, 50);
+
+    // The default rates have no eur->usd path: the parts stay apart and there is no total
+    const apart = evaluateExpressionWithSteps('(120usd + 50eur) * 2', 100);
+    assert.strictEqual(apart.result.display, '240 USD + 100 EUR');
+    assert.ok(Number.isNaN(apart.result.mean));
+
+    const converted = evaluateExpressionWithSteps('120usd - 50eur to pln * 2', 100, options);
+    assert.deepStrictEqual(converted.steps, [
+        '120usd - 50eur to pln * 2',
+        '(480pln - 211pln) * 2 (usd->pln 4, eur->pln 4.22)',
+        '269pln * 2',
+        '538pln',
+    ]);
+    assert.strictEqual(converted.result.components, undefined);
+
+    const worksheet = evaluateWorksheet('trip = (100~200)usd + 50eur\ntrip to pln\ntrip - trip', 2000, options);
+    const [trip, inPln, difference] = worksheet.lines.map((line) => line.evaluation.result);
+    assert.strictEqual(trip.display, '150 USD + 50 EUR');
+    assert.deepStrictEqual([trip.components[0].min, trip.components[0].max], [100, 200]);
+    assert.deepStrictEqual([inPln.mean, inPln.min, inPln.max], [811, 611, 1011]);
+    assert.deepStrictEqual([difference.min, difference.max], [0, 0]);
+    assert.deepStrictEqual(serializeEvaluation(worksheet.lines[0].evaluation).components, [
+        { currency: 'usd', mean: 150, min: 100, max: 200 },
+        { currency: 'eur', mean: 50, min: 50, max: 50 },
+    ]);
+});
+
+test('Percentages change the value on their left and `as % of` gives a ratio in percent', () => {
+    const vat = evaluateExpressionWithSteps('100eur + 23%', 100);
+    assert.deepStrictEqual(vat.steps, ['100eur + 23%', '123eur']);
+    assert.strictEqual(vat.result.mean, 123);
+
+    const discount = evaluateExpressionWithSteps('200 - 10~15%', 2000, { seed: 7 });
+    assert.deepStrictEqual(discount.steps, ['200 - (10 ~ 15%)', '200 - 12.5%', '175']);
+    assert.deepStrictEqual([discount.result.min, discount.result.max], [170, 180]);
+    assert.deepStrictEqual(discount.stepDetails[1].terms.map(({ unit, min, max }) => [unit, min, max]), [['%', 10, 15]]);
+
+    const share = evaluateExpressionWithSteps('50usd as % of 200usd', 100);
+    assert.strictEqual(share.result.display, '25.000%');
+    assert.strictEqual(share.result.percent, true);
+    assert.strictEqual(evaluateExpressionWithSteps('5% + 3%', 100).result.display, '8.0000%');
+    // Results follow formatNumber, while steps keep the exact amount
+    const third = evaluateExpressionWithSteps('50 as % of 90', 100);
+    assert.deepStrictEqual(third.steps, ['50 as % of 90', '55.555556%']);
+    assert.strictEqual(third.result.display, '55.556%');
+    assert.strictEqual(evaluateExpressionWithSteps('100 * 5%', 100).result.mean, 5);
+    assert.throws(() => evaluateExpressionWithSteps('5% + 100', 100), /value on its left/);
+    assert.throws(() => evaluateExpressionWithSteps('5kg%', 100), /plain numbers/);
+    assert.ok(Math.abs(evalRpn(shuntingYard(tokenize('50 as % of 200 - 10%')), 100).mean - 50 / 180) < 1e-12);
+
+    const worksheet = evaluateWorksheet('vat = 23%\n(100usd + 50eur) * 2 + vat', 100, {
+        currencyRates: { usd: { pln: 4 }, eur: { pln: 4.22 } },
+    });
+    assert.strictEqual(worksheet.lines[1].evaluation.result.display, '246 USD + 123 EUR');
+});
+
+test('Number literals accept thousands separators, scientific notation, SI suffixes and decimal commas', () => {
+    const range = evaluateExpressionWithSteps('1,200~1,500', 100, { seed: 1 });
+    assert.deepStrictEqual([range.result.min, range.result.max], [1200, 1500]);
+    assert.deepStrictEqual(evaluateExpressionWithSteps('3k~5k + 1.5e6', 100).steps.slice(0, 2), ['(3000 ~ 5000) + 1500000', '4000 + 1500000']);
+    assert.strictEqual(evaluateExpressionWithSteps('2M usd', 100).result.display, '2000000.00usd');
+    assert.strictEqual(evaluateExpressionWithSteps('$1,200 + 3k€ + .5eur', 100, { currencyRates: { eur: { usd: 1.1 } } }).result.display, '1200 USD + 3000.5 EUR');
+    // Units keep their own letters: `2kg` is not 2000 g, `3m` stays metres
+    assert.strictEqual(evaluateExpressionWithSteps('2kg * 3m to g*m', 100).result.display, '6000.0g*m');
+    // ...and the K of `Kč` is the koruna, while `2k Kč` is still two thousand
+    assert.strictEqual(evaluateExpressionWithSteps('3Kč + 2k Kč', 100).result.display, '2003.00czk');
+    assert.deepStrictEqual(tokenize('max(1,200) + 1.2k'), ['max', '(', 1, ',', 200, ')', '+', 1200]);
+
+    const comma = { decimalSeparator: ',' };
+    assert.strictEqual(evaluateExpression('1.200,5 + max(0,25, 0,5)', 100, comma).mean, 1201);
+    assert.deepStrictEqual(tokenize('2,5e3', comma), [2500]);
+});
+
+test('Number formatter applies locale grouping, significant figures, SI suffixes and rounded ranges', () => {
+    assert.strictEqual(createNumberFormatter().format(1234.5, 'kg'), formatNumber(1234.5) + 'kg');
+    assert.strictEqual(createNumberFormatter({ locale: 'de-DE' }).format(1234.5), '1.234,5');
+    assert.strictEqual(createNumberFormatter({ locale: 'en-US' }).format(1234.5, 'usd'), '$1,234.50');
+    assert.strictEqual(createNumberFormatter({ locale: 'en-US' }).format(1234.5, 'jpy'), '¥1,235');
+    assert.strictEqual(createNumberFormatter({ locale: 'en-US', significantDigits: 2 }).format(0.012345), '0.012');
+
+    const si = createNumberFormatter({ locale: 'en-US', siSuffix: true, roundRanges: true });
+    assert.strictEqual(si.format(12345), '12.3k');
+    assert.strictEqual(si.format(2500000, 'km'), '2.5M km');
+    assert.strictEqual(si.formatRange(12345, 17890), 'about 12k–18k');
+    assert.strictEqual(si.formatRange(12000, 18000, 'usd'), '$12k–$18k');
+    // Across zero the bounds widen outwards and never show -0
+    assert.strictEqual(si.formatRange(-5, 5), '-5–5');
+    assert.strictEqual(si.formatRange(-4.2, 13.7), 'about -10–20');
+    assert.strictEqual(si.formatRange(-25, -0.4), 'about -30–0');
+    assert.strictEqual(createNumberFormatter().formatRange(1, 2), '1.0000 ~ 2.0000');
+
+    const samples = Array.from({ length: 100 }, (_, i) => 10000 + i * 100);
+    const lines = generateTextHistogram(samples, { bins: 2, width: 4, format: { locale: 'en-US', siSuffix: true } });
+    assert.deepStrictEqual(lines, ['    15k | ████ (mean≈15k)', '    10k | ████']);
+});
+
+test('Dates move by uncertain durations and workdays on a work calendar', () => {
+    assert.strictEqual(evaluateExpressionWithSteps('2026-11-01 + 2w', 100).result.display, '2026-11-15');
+    assert.strictEqual(evaluateExpressionWithSteps('2026-11-01 + 36h', 100).result.display, '2026-11-02');
+    assert.strictEqual(evaluateExpressionWithSteps('2026-12-25 - 2026-11-01', 100).result.display, '54.000day');
+    // Monday plus three workdays, with Wednesday off, ends on Friday
+    const calendar = { holidays: ['2026-11-04'] };
+    assert.strictEqual(evaluateExpressionWithSteps('2026-11-02 + 3 workdays', 100, { calendar }).result.display, '2026-11-06');
+    assert.strictEqual(evaluateExpressionWithSteps('2026-11-02 + 3 workdays', 100, { calendar: { weekend: ['fri'] } }).result.display, '2026-11-05');
+
+    const project = evaluateExpressionWithSteps('2026-11-01 + 20~40 workdays', 1000, { seed: 3 });
+    assert.strictEqual(project.unit, 'date');
+    assert.ok(project.result.samples.every((day) => ![0, 6].includes(new Date(day * 86400000).getUTCDay())));
+    assert.ok(project.result.dates.p50 < project.result.dates.p90);
+    assert.strictEqual(createNumberFormatter().format(project.result.samples[0], 'date'), new Date(project.result.samples[0] * 86400000).toISOString().slice(0, 10));
+    assert.strictEqual(serializeEvaluation(project).dates.p90, project.result.dates.p90);
+
+    assert.throws(() => evaluateExpression('2026-11-01 + 5', 100), /use a duration/);
+    assert.strictEqual(evaluateExpressionWithSteps('100 usd to eur on 2024-03-01', 100, {
+        historicalRates: { '2024-03-01': { base: 'usd', rates: { eur: 0.9 }, rateDate: '2024-03-01' } },
+    }).result.display, '90.00eur');
+});
+
+test('corr() gives separate inputs a rank correlation without changing their distributions', () => {
+    const lines = ['hours = 100~200', 'material = 4000~8000 usd', 'cost = hours * 40usd + material'];
+    const independent = evaluateWorksheet(lines, 2000, { seed: 5 });
+    const correlated = evaluateWorksheet([...lines.slice(0, 2), 'corr(hours, material, 0.7)', lines[2], 'x = 1~2', 'corr(material, x, -0.3)', 'corr(hours, x, 0.99)'], 2000, { seed: 5 });
+    const sorted = (samples) => [...samples].sort((a, b) => a - b);
+
+    assert.ok(Math.abs(correlated.lines[2].evaluation.result.mean - 0.7) < 0.02);
+    assert.deepStrictEqual(sorted(correlated.variables.hours.samples), sorted(independent.variables.hours.samples));
+    // Costs that rise together widen the spread of their sum
+    const spread = (worksheet) => getSampleStatistics(worksheet.variables.cost.samples).stdDev;
+    assert.ok(spread(correlated) > spread(independent) * 1.15);
+    assert.ok(Math.abs(correlated.lines[5].evaluation.result.mean + 0.3) < 0.02);
+    assert.match(correlated.lines[6].error, /contradict/);
+    assert.throws(() => evaluateExpression('corr(1~2, 2 * (1~2), 0.5)', 100), /uncertain input/);
+    assert.throws(() => evaluateExpressionWithSteps('corr(1, 2, 0.5)', 100), /uncertain input/);
+
+    // A value computed before `corr` keeps the old order and no longer counts as dependent on the input
+    const earlier = evaluateWorksheet(['a = 1~2', 'y = a * 2', 'corr(a, 1~2, 0.9)', 'y - 2 * a', 'b = a', 'a - b'], 2000, { seed: 1 });
+    const [drift, alias] = [earlier.lines[3], earlier.lines[5]].map((line) => line.evaluation.result);
+    assert.deepStrictEqual([drift.min, drift.max], [-2, 2]);
+    assert.ok(Math.max(...drift.samples.map(Math.abs)) > 0.5);
+    assert.deepStrictEqual([alias.min, alias.max], [0, 0]);
+});
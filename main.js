@@ -12,25 +12,59 @@ const {
     evalRpn,
     evaluateExpression,
     evaluateExpressionWithSteps,
+    evaluateWorksheet,
     getQuantiles,
-    formatNumber,
-    generateTextHistogram
+    getSampleStatistics,
+    getSensitivity,
+    createNumberFormatter,
+    formatProbability,
+    getHistogramBins,
+    generateTextHistogram,
+    evaluationToJson,
+    evaluationToCsv,
+    createFrankfurterRateProvider,
+    createStaticRateProvider,
+    createCachedRateProvider,
+    createRateProviderChain,
+    toCurrencyRates,
+    getRateDates
 } = calcCoreLib;
 
 const FX_CACHE_KEY = "unsureCalcFx.v1";
+const WORKSHEET_STORAGE_KEY = "unsureCalcWorksheet.v1";
+const WORKSHEET_DEBOUNCE_MS = 300;
+const STATS_STORAGE_KEY = "unsureCalcStats.v1";
+const DEFAULT_STAT_SELECTION = {
+    mean: true,
+    median: true,
+    stdDev: false,
+    standardError: false,
+    invalidCount: false,
+    percentiles: "",
+    threshold: "",
+};
+const FORMAT_STORAGE_KEY = "unsureCalcFormat.v1";
+const DEFAULT_NUMBER_FORMAT = { locale: "", significantDigits: "", siSuffix: false, roundRanges: false };
+const CALENDAR_STORAGE_KEY = "unsureCalcCalendar.v1";
+const DEFAULT_WORK_CALENDAR = { weekend: ["sat", "sun"], holidays: [] };
+const CHART_STORAGE_KEY = "unsureCalcChart.v1";
+const DEFAULT_CHART_VIEW = { view: "histogram", logScale: false };
+const CHART_SIZE = { width: 520, height: 220, top: 22, right: 16, bottom: 34, left: 48 };
+const TORNADO_SIZE = { width: 520, rowHeight: 22, top: 8, bottom: 24, labelWidth: 150, correlationWidth: 64 };
 const BIG_25_CURRENCIES = [
     "USD", "GBP", "JPY", "CHF", "CAD", "AUD", "NZD", "SEK", "NOK", "DKK",
     "PLN", "CZK", "HUF", "RON", "TRY", "CNY", "HKD", "SGD", "KRW", "INR",
     "MXN", "BRL", "ZAR", "AED"
 ];
-const FX_SYMBOLS_QUERY = BIG_25_CURRENCIES.join(",");
-const FX_ENDPOINTS = [
-    `https://api.frankfurter.dev/v1/latest?base=EUR&symbols=${FX_SYMBOLS_QUERY}`,
-    `https://api.frankfurter.app/latest?base=EUR&symbols=${FX_SYMBOLS_QUERY}`,
-];
-const FALLBACK_BASE_RATES = { PLN: 4.22 };
+const FALLBACK_FX_RATES = { base: "EUR", rates: { PLN: 4.22 } };
+// Settings from the number format picker; every figure on the page goes through this formatter
+let numberFormatSettings = {};
+let numberFormatter = createNumberFormatter();
+// Weekend and holidays that `workdays` skip, from the calendar picker
+let workCalendar = { ...DEFAULT_WORK_CALENDAR };
 let fxLoadPromise = null;
 let fxState = null;
+const historicalFxLoads = new Map();
 
 function escapeHtml(raw) {
     if (raw === null || raw === undefined) return "";
@@ -40,14 +74,26 @@ function escapeHtml(raw) {
         .replace(/>/g, "&gt;");
 }
 
-function renderStepsHtml(steps) {
+// Each step lists the sub-terms it folded, with their exact interval and simulated p05-p95
+function renderStepsHtml(steps, stepDetails = []) {
     if (!Array.isArray(steps) || steps.length === 0) return "";
     return steps
-        .map((line, index) => `<div>${index}. ${escapeHtml(line)}</div>`)
+        .map((line, index) => {
+            const terms = (stepDetails[index] && stepDetails[index].terms) || [];
+            const termsHtml = terms
+                .map((term) => {
+                    const suffix = term.unit || "";
+                    const exact = `${formatFigure(term.min, suffix)} – ${formatFigure(term.max, suffix)}`;
+                    const simulated = `${formatFigure(term.p05, suffix)} – ${formatFigure(term.p95, suffix)}`;
+                    return `<div class="step-term">↳ ${escapeHtml(term.expression)}: exact ${escapeHtml(exact)}, p05–p95 ${escapeHtml(simulated)}</div>`;
+                })
+                .join("");
+            return `<div>${index}. ${escapeHtml(line)}</div>${termsHtml}`;
+        })
         .join("");
 }
 
-function getExpressionFromQuery() {
+function getQueryParam(name) {
     const query = window.location.search.startsWith("?")
         ? window.location.search.slice(1)
         : window.location.search;
@@ -56,122 +102,477 @@ function getExpressionFromQuery() {
     const pair = query
         .split("&")
         .map((chunk) => chunk.split("="))
-        .find(([key]) => key && decodeURIComponent(key) === "expr");
+        .find(([key]) => key && decodeURIComponent(key) === name);
 
     if (!pair || pair.length < 2) return "";
     const rawValue = pair.slice(1).join("=");
     try {
         return decodeURIComponent(rawValue);
     } catch (e) {
-        console.error("Failed to decode expr query parameter", e);
+        console.error(`Failed to decode ${name} query parameter`, e);
         return rawValue;
     }
 }
 
-function getLocalDateStamp(date = new Date()) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const day = String(date.getDate()).padStart(2, "0");
-    return `${year}-${month}-${day}`;
+function getExpressionFromQuery() {
+    return getQueryParam("expr");
+}
+
+// Shared links carry the seed next to `expr`, so they reproduce the exact same samples and histogram
+function getSeedFromQuery() {
+    return getQueryParam("seed") || Math.floor(Math.random() * 0x100000000).toString(36);
 }
 
-function readCachedFxData() {
+function loadStoredSettings(storageKey, defaults, label) {
     try {
-        const raw = window.localStorage.getItem(FX_CACHE_KEY);
-        if (!raw) return null;
-        const parsed = JSON.parse(raw);
-        if (!parsed || typeof parsed !== "object") return null;
-        if (typeof parsed.day !== "string" || parsed.day.length < 8) return null;
-        const normalizedRates = normalizeBaseRates(parsed.rates);
-        if (Object.keys(normalizedRates).length === 0) return null;
-        return {
-            day: parsed.day,
-            rateDate: typeof parsed.rateDate === "string" ? parsed.rateDate : parsed.day,
-            rates: normalizedRates,
-            fetchedAt: typeof parsed.fetchedAt === "string" ? parsed.fetchedAt : null,
-        };
+        const saved = JSON.parse(window.localStorage.getItem(storageKey) || "null");
+        return { ...defaults, ...(saved && typeof saved === "object" ? saved : {}) };
     } catch (error) {
-        console.warn("Unable to read cached FX data", error);
-        return null;
+        console.warn(`Unable to read saved ${label}`, error);
+        return { ...defaults };
     }
 }
 
-function writeCachedFxData(data) {
+function saveStoredSettings(storageKey, settings, label) {
     try {
-        window.localStorage.setItem(FX_CACHE_KEY, JSON.stringify(data));
+        window.localStorage.setItem(storageKey, JSON.stringify(settings));
     } catch (error) {
-        console.warn("Unable to cache FX data", error);
+        console.warn(`Unable to save ${label}`, error);
     }
 }
 
-function normalizeBaseRates(rawRates) {
-    const normalized = {};
-    if (!rawRates || typeof rawRates !== "object") return normalized;
+// "80, 99.5" -> [80, 99.5]; entries outside 0-100 are ignored
+function parsePercentileList(text) {
+    return String(text || "")
+        .split(/[\s,;]+/)
+        .filter(Boolean)
+        .map(Number)
+        .filter((value) => isFinite(value) && value >= 0 && value <= 100);
+}
 
-    for (const code of BIG_25_CURRENCIES) {
-        const rate = rawRates[code] ?? rawRates[code.toLowerCase()];
-        if (typeof rate === "number" && isFinite(rate) && rate > 0) {
-            normalized[code] = rate;
-        }
+function renderStatisticsHtml(samples, unitSuffix, selection) {
+    // Dates take a date threshold; their spreads are in days
+    const thresholdText = String(selection.threshold || "").trim();
+    const isDateThreshold = unitSuffix === "date" && /^\d{4}-\d{2}-\d{2}$/.test(thresholdText);
+    const threshold = thresholdText === "" ? undefined : isDateThreshold ? Date.parse(thresholdText) / 86400000 : Number(thresholdText);
+    const spreadUnit = unitSuffix === "date" ? " days" : unitSuffix;
+    const stats = getSampleStatistics(samples, {
+        percentiles: parsePercentileList(selection.percentiles),
+        threshold: isFinite(threshold) ? threshold : undefined,
+    });
+    const withUnit = (value) => formatFigure(value, unitSuffix);
+    const rows = [];
+
+    if (selection.mean) rows.push(`Simulated Mean: ${withUnit(stats.mean)}`);
+    if (selection.median) rows.push(`Median: ${withUnit(stats.median)}`);
+    if (selection.stdDev) rows.push(`Std Deviation: ${formatFigure(stats.stdDev, spreadUnit)}`);
+    if (selection.standardError) rows.push(`Std Error of Mean: ${formatFigure(stats.standardError, spreadUnit)}`);
+    for (const [key, value] of Object.entries(stats.percentiles)) {
+        rows.push(`${key.replace(/^p0?/, "P")}: ${withUnit(value)}`);
+    }
+    if (stats.probabilityAbove !== undefined) {
+        const chance = isNaN(stats.probabilityAbove) ? "NaN" : `${(stats.probabilityAbove * 100).toFixed(1)}%`;
+        rows.push(`P(X > ${withUnit(stats.threshold)}): ${chance}`);
     }
+    if (selection.invalidCount) rows.push(`NaN/Infinity Samples: ${stats.invalidCount} of ${stats.count}`);
 
-    for (const [code, rate] of Object.entries(FALLBACK_BASE_RATES)) {
-        if (!(code in normalized)) {
-            normalized[code] = rate;
+    return rows.map((row) => `<div>${escapeHtml(row)}</div>`).join("");
+}
+
+// Wire the statistics picker; returns a getter for the current selection
+function setupStatsPicker(onChange) {
+    const picker = document.getElementById("stats-picker");
+    const selection = loadStoredSettings(STATS_STORAGE_KEY, DEFAULT_STAT_SELECTION, "statistics selection");
+    if (!picker) return () => selection;
+
+    const percentileInput = document.getElementById("stats-percentiles");
+    const thresholdInput = document.getElementById("stats-threshold");
+    const checkboxes = picker.querySelectorAll("input[data-stat]");
+    checkboxes.forEach((checkbox) => {
+        checkbox.checked = !!selection[checkbox.dataset.stat];
+    });
+    if (percentileInput) percentileInput.value = selection.percentiles;
+    if (thresholdInput) thresholdInput.value = selection.threshold;
+
+    picker.addEventListener("change", () => {
+        checkboxes.forEach((checkbox) => {
+            selection[checkbox.dataset.stat] = checkbox.checked;
+        });
+        if (percentileInput) selection.percentiles = percentileInput.value;
+        if (thresholdInput) selection.threshold = thresholdInput.value;
+        saveStoredSettings(STATS_STORAGE_KEY, selection, "statistics selection");
+        onChange();
+    });
+
+    return () => selection;
+}
+
+function formatFigure(value, unitSuffix = "") {
+    return numberFormatter.format(value, unitSuffix);
+}
+
+function hasCustomNumberFormat() {
+    return !!(numberFormatSettings.locale || numberFormatSettings.significantDigits || numberFormatSettings.siSuffix);
+}
+
+// The core's display keeps its own notation (`123.00eur`, `120 USD + 50 EUR`, `23%`); a custom format
+// re-renders plain money amounts with the locale's currency placement
+function formatResultValue(result, unitSuffix) {
+    if (hasCustomNumberFormat() && result.currency && !result.components) return formatFigure(result.mean, unitSuffix);
+    return result.display ?? formatFigure(result.mean, unitSuffix);
+}
+
+// Picker values -> createNumberFormatter settings; an unknown locale tag falls back to the browser's
+function toNumberFormatSettings(selection) {
+    let locale = String(selection.locale || "").trim() || undefined;
+    if (locale) {
+        try {
+            Intl.NumberFormat.supportedLocalesOf([locale]);
+        } catch (error) {
+            locale = undefined;
         }
     }
+    const digits = Number(selection.significantDigits);
+    return {
+        locale,
+        significantDigits: Number.isInteger(digits) && digits >= 1 && digits <= 21 ? digits : undefined,
+        siSuffix: !!selection.siSuffix,
+        roundRanges: !!selection.roundRanges,
+    };
+}
 
-    return normalized;
+function applyNumberFormat(selection) {
+    numberFormatSettings = toNumberFormatSettings(selection);
+    numberFormatter = createNumberFormatter(numberFormatSettings);
 }
 
-function buildFxRequestUrl(endpoint, forceRefresh) {
-    if (!forceRefresh) return endpoint;
-    const separator = endpoint.includes("?") ? "&" : "?";
-    return `${endpoint}${separator}t=${Date.now()}`;
+// Wire the number format picker; it updates the shared formatter, then calls onChange
+function setupFormatPicker(onChange) {
+    const picker = document.getElementById("format-picker");
+    const selection = loadStoredSettings(FORMAT_STORAGE_KEY, DEFAULT_NUMBER_FORMAT, "number format");
+    applyNumberFormat(selection);
+    if (!picker) return;
+
+    const localeInput = document.getElementById("format-locale");
+    const digitsInput = document.getElementById("format-digits");
+    const checkboxes = picker.querySelectorAll("input[data-format]");
+    checkboxes.forEach((checkbox) => {
+        checkbox.checked = !!selection[checkbox.dataset.format];
+    });
+    if (localeInput) localeInput.value = selection.locale;
+    if (digitsInput) digitsInput.value = selection.significantDigits;
+
+    picker.addEventListener("change", () => {
+        checkboxes.forEach((checkbox) => {
+            selection[checkbox.dataset.format] = checkbox.checked;
+        });
+        if (localeInput) selection.locale = localeInput.value;
+        if (digitsInput) selection.significantDigits = digitsInput.value;
+        saveStoredSettings(FORMAT_STORAGE_KEY, selection, "number format");
+        applyNumberFormat(selection);
+        onChange();
+    });
 }
 
-async function fetchLiveFxRates(today, forceRefresh = false) {
-    let lastError = null;
+// Wire the work calendar picker: a JSON file `{ "weekend": [...], "holidays": [...] }` replaces the calendar
+// and Reset restores the Saturday/Sunday weekend; either then calls onChange
+function setupCalendarPicker(onChange) {
+    workCalendar = loadStoredSettings(CALENDAR_STORAGE_KEY, DEFAULT_WORK_CALENDAR, "work calendar");
+    const fileInput = document.getElementById("calendar-file");
+    const resetButton = document.getElementById("calendar-reset");
+    const status = document.getElementById("calendar-status");
+    const showStatus = (message) => {
+        if (!status) return;
+        const holidays = Array.isArray(workCalendar.holidays) ? workCalendar.holidays.length : 0;
+        status.textContent = message || `Weekend ${[].concat(workCalendar.weekend).join(", ") || "none"}; ${holidays} holidays`;
+    };
+    const useCalendar = (calendar) => {
+        workCalendar = calendar;
+        saveStoredSettings(CALENDAR_STORAGE_KEY, workCalendar, "work calendar");
+        showStatus();
+        onChange();
+    };
+    showStatus();
 
-    for (const endpoint of FX_ENDPOINTS) {
+    fileInput?.addEventListener("change", async () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
         try {
-            const response = await fetch(buildFxRequestUrl(endpoint, forceRefresh), {
-                cache: forceRefresh ? "reload" : "no-store",
-            });
-            if (!response.ok) {
-                throw new Error(`${endpoint} HTTP ${response.status}`);
-            }
+            const data = JSON.parse(await file.text());
+            if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("expected a JSON object");
+            useCalendar({ ...DEFAULT_WORK_CALENDAR, ...data });
+        } catch (error) {
+            showStatus(`Unable to read ${file.name}: ${error.message}`);
+        }
+        fileInput.value = "";
+    });
+    resetButton?.addEventListener("click", () => useCalendar({ ...DEFAULT_WORK_CALENDAR }));
+}
 
-            const payload = await response.json();
-            const normalizedRates = normalizeBaseRates(payload?.rates);
-            if (Object.keys(normalizedRates).length === 0) {
-                throw new Error(`${endpoint} invalid FX payload`);
-            }
+function formatAxisValue(value, unitSuffix) {
+    return formatFigure(value, unitSuffix);
+}
 
-            const rateDate = typeof payload?.date === "string" ? payload.date : today;
-            return { source: "live", rates: normalizedRates, day: today, rateDate };
-        } catch (error) {
-            lastError = error;
+// Draw the binned samples as an SVG histogram (or CDF) with mean and p05/p95 markers
+function renderHistogramSvg(histogram, quantiles, unitSuffix, chartView) {
+    const { width, height, top, right, bottom, left } = CHART_SIZE;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+    const spread = histogram.max - histogram.min;
+    const padding = spread === 0 ? Math.abs(histogram.min) * 0.05 || 0.5 : 0;
+    const low = histogram.min - padding;
+    const high = histogram.max + padding;
+    const scaleX = (value) => left + ((value - low) / (high - low)) * plotWidth;
+    const scaleY = (fraction) => top + (1 - fraction) * plotHeight;
+
+    const maxCount = Math.max(...histogram.bins.map((bin) => bin.count));
+    const countFraction = (count) => chartView.logScale
+        ? Math.log10(1 + count) / Math.log10(1 + maxCount)
+        : count / maxCount;
+    const parts = [];
+
+    if (chartView.view === "cdf") {
+        let cumulative = 0;
+        const points = [`${scaleX(histogram.min)},${scaleY(0)}`];
+        for (const bin of histogram.bins) {
+            cumulative += bin.count;
+            points.push(`${scaleX(bin.end)},${scaleY(cumulative / histogram.count)}`);
+        }
+        parts.push(`<polyline points="${points.join(" ")}" fill="none" stroke="#bfa36f" stroke-width="2" />`);
+    } else {
+        for (const bin of histogram.bins) {
+            const x = spread === 0 ? scaleX(low) : scaleX(bin.start);
+            const barWidth = spread === 0 ? plotWidth : Math.max(scaleX(bin.end) - x - 1, 1);
+            const y = scaleY(countFraction(bin.count));
+            parts.push(`<rect x="${x}" y="${y}" width="${barWidth}" height="${top + plotHeight - y}" fill="#bfa36f" rx="1" />`);
         }
     }
 
-    throw lastError || new Error("All FX endpoints failed");
+    // Invisible full-height columns make every bin hoverable, including empty ones
+    histogram.bins.forEach((bin, index) => {
+        const x = spread === 0 ? scaleX(low) : scaleX(bin.start);
+        const columnWidth = spread === 0 ? plotWidth : scaleX(bin.end) - x;
+        parts.push(`<rect data-bin="${index}" x="${x}" y="${top}" width="${columnWidth}" height="${plotHeight}" fill="transparent" />`);
+    });
+
+    const markers = [
+        { label: "p05", value: quantiles.p05, color: "#8a7448" },
+        { label: "mean", value: histogram.mean, color: "#3a2c13" },
+        { label: "p95", value: quantiles.p95, color: "#8a7448" },
+    ];
+    for (const marker of markers) {
+        if (!isFinite(marker.value)) continue;
+        const x = scaleX(marker.value);
+        parts.push(`<line x1="${x}" y1="${top}" x2="${x}" y2="${top + plotHeight}" stroke="${marker.color}" stroke-dasharray="4 3" pointer-events="none" />`);
+        parts.push(`<text x="${x}" y="${top - 6}" text-anchor="middle" font-size="10" fill="${marker.color}">${marker.label}</text>`);
+    }
+
+    const axisY = top + plotHeight;
+    parts.push(`<line x1="${left}" y1="${axisY}" x2="${left + plotWidth}" y2="${axisY}" stroke="#6D7175" />`);
+    parts.push(`<line x1="${left}" y1="${top}" x2="${left}" y2="${axisY}" stroke="#6D7175" />`);
+    const tickCount = spread === 0 ? 1 : 4;
+    for (let i = 0; i <= tickCount; i++) {
+        const value = spread === 0 ? histogram.min : histogram.min + (spread * i) / tickCount;
+        const anchor = spread === 0 ? "middle" : i === 0 ? "start" : i === tickCount ? "end" : "middle";
+        parts.push(`<text x="${scaleX(value)}" y="${axisY + 16}" text-anchor="${anchor}" font-size="10" fill="#6D7175">${escapeHtml(formatAxisValue(value, unitSuffix))}</text>`);
+        if (spread === 0) break;
+    }
+
+    const yLabels = chartView.view === "cdf"
+        ? ["100%", "0%"]
+        : [String(maxCount), chartView.logScale ? "0 (log)" : "0"];
+    parts.push(`<text x="${left - 6}" y="${top + 4}" text-anchor="end" font-size="10" fill="#6D7175">${yLabels[0]}</text>`);
+    parts.push(`<text x="${left - 6}" y="${axisY}" text-anchor="end" font-size="10" fill="#6D7175">${yLabels[1]}</text>`);
+
+    return `<svg class="histogram-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Distribution of simulated samples">${parts.join("")}</svg>`;
 }
 
-function buildCurrencyRateOptions(baseRates) {
-    const lowerRates = {};
-    for (const [code, rate] of Object.entries(baseRates || {})) {
-        if (typeof rate !== "number" || !isFinite(rate) || rate <= 0) continue;
-        lowerRates[code.toLowerCase()] = rate;
+function describeHistogramBin(histogram, index, unitSuffix, chartView) {
+    const bin = histogram.bins[index];
+    if (chartView.view === "cdf") {
+        const below = histogram.bins.slice(0, index + 1).reduce((sum, entry) => sum + entry.count, 0);
+        return `P(X ≤ ${formatAxisValue(bin.end, unitSuffix)}) ≈ ${formatProbability(below / histogram.count)}`;
     }
+    const range = bin.start === bin.end
+        ? formatAxisValue(bin.start, unitSuffix)
+        : `${formatAxisValue(bin.start, unitSuffix)} – ${formatAxisValue(bin.end, unitSuffix)}`;
+    return `${range}: ${bin.count} samples (${formatProbability(bin.count / histogram.count)})`;
+}
 
-    return {
-        currencyRates: {
-            eur: lowerRates
+// Wire the chart view controls and tooltip; returns render/clear for the result panel
+function setupHistogramChart(container) {
+    const controls = document.getElementById("chart-controls");
+    const logScaleInput = document.getElementById("chart-log-scale");
+    const chartView = loadStoredSettings(CHART_STORAGE_KEY, DEFAULT_CHART_VIEW, "chart view");
+    let current = null;
+
+    const tooltip = document.createElement("div");
+    tooltip.className = "chart-tooltip";
+    tooltip.hidden = true;
+
+    function draw() {
+        container.innerHTML = "";
+        if (!current) return;
+        if (chartView.view === "text") {
+            container.innerHTML = generateTextHistogram(current.samples, { format: numberFormatSettings, unit: current.unitSuffix }).map(escapeHtml).join("<br>");
+            return;
+        }
+        if (current.histogram.count === 0) {
+            container.innerHTML = "Cannot draw chart (no valid numeric samples).";
+            return;
+        }
+        container.innerHTML = renderHistogramSvg(current.histogram, current.quantiles, current.unitSuffix, chartView);
+        container.appendChild(tooltip);
+    }
+
+    if (controls) {
+        controls.querySelectorAll("input[name='chart-view']").forEach((radio) => {
+            radio.checked = radio.value === chartView.view;
+        });
+        if (logScaleInput) logScaleInput.checked = !!chartView.logScale;
+        controls.addEventListener("change", () => {
+            const selected = controls.querySelector("input[name='chart-view']:checked");
+            if (selected) chartView.view = selected.value;
+            if (logScaleInput) chartView.logScale = logScaleInput.checked;
+            saveStoredSettings(CHART_STORAGE_KEY, chartView, "chart view");
+            draw();
+        });
+    }
+
+    container.addEventListener("mousemove", (event) => {
+        const column = event.target.closest ? event.target.closest("[data-bin]") : null;
+        if (!column || !current) {
+            tooltip.hidden = true;
+            return;
         }
+        const bounds = container.getBoundingClientRect();
+        tooltip.textContent = describeHistogramBin(current.histogram, Number(column.dataset.bin), current.unitSuffix, chartView);
+        tooltip.style.left = `${event.clientX - bounds.left + 12}px`;
+        tooltip.style.top = `${event.clientY - bounds.top + 12}px`;
+        tooltip.hidden = false;
+    });
+    container.addEventListener("mouseleave", () => {
+        tooltip.hidden = true;
+    });
+
+    return {
+        render(samples, unitSuffix) {
+            current = {
+                samples,
+                unitSuffix,
+                histogram: getHistogramBins(samples),
+                quantiles: getQuantiles(samples),
+            };
+            if (controls) controls.classList.remove("hidden");
+            draw();
+        },
+        clear() {
+            current = null;
+            if (controls) controls.classList.add("hidden");
+            draw();
+        },
     };
 }
 
+// A percent result's baseline and swings in percent, to match its "%" suffix
+function scalePercentSensitivity(sensitivity) {
+    const scale = (value) => value * 100;
+    return {
+        baseline: scale(sensitivity.baseline),
+        inputs: sensitivity.inputs.map((input) => ({ ...input, low: scale(input.low), high: scale(input.high), swing: scale(input.swing) })),
+    };
+}
+
+// Tornado chart of the inputs' swings around the baseline (every input at its mean), largest first,
+// with each input's rank correlation with the result on the right
+function renderSensitivityHtml(sensitivity, unitSuffix) {
+    const inputs = sensitivity.inputs.filter((input) => isFinite(input.low) && isFinite(input.high));
+    if (inputs.length < 2) return "";
+
+    const { width, rowHeight, top, bottom, labelWidth, correlationWidth } = TORNADO_SIZE;
+    const height = top + inputs.length * rowHeight + bottom;
+    const plotLeft = labelWidth;
+    const plotWidth = width - labelWidth - correlationWidth;
+    const values = inputs.flatMap((input) => [input.low, input.high]).concat(sensitivity.baseline);
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const scaleX = (value) => (high === low ? plotLeft + plotWidth / 2 : plotLeft + ((value - low) / (high - low)) * plotWidth);
+    const baselineX = scaleX(sensitivity.baseline);
+    const parts = [];
+
+    inputs.forEach((input, index) => {
+        const y = top + index * rowHeight;
+        const label = input.label.length > 22 ? `${input.label.slice(0, 21)}…` : input.label;
+        const details = `${input.label}: ${formatFigure(input.low, unitSuffix)} at ${formatFigure(input.min)}, ` +
+            `${formatFigure(input.high, unitSuffix)} at ${formatFigure(input.max)}`;
+        parts.push(`<g><title>${escapeHtml(details)}</title>`);
+        parts.push(`<text x="${labelWidth - 8}" y="${y + rowHeight / 2 + 4}" text-anchor="end" font-size="11" fill="#3a2c13">${escapeHtml(label)}</text>`);
+        for (const [value, color] of [[input.low, "#e0b973"], [input.high, "#bfa36f"]]) {
+            const x = Math.min(scaleX(value), baselineX);
+            const barWidth = Math.max(Math.abs(scaleX(value) - baselineX), 1);
+            parts.push(`<rect x="${x}" y="${y + 3}" width="${barWidth}" height="${rowHeight - 6}" fill="${color}" />`);
+        }
+        const correlation = isFinite(input.rankCorrelation) ? `ρ ${input.rankCorrelation.toFixed(2)}` : "ρ –";
+        parts.push(`<text x="${width - 4}" y="${y + rowHeight / 2 + 4}" text-anchor="end" font-size="11" fill="#6D7175">${correlation}</text></g>`);
+    });
+
+    const axisY = top + inputs.length * rowHeight;
+    parts.push(`<line x1="${baselineX}" y1="${top}" x2="${baselineX}" y2="${axisY}" stroke="#3a2c13" />`);
+    parts.push(`<text x="${plotLeft}" y="${axisY + 16}" font-size="10" fill="#6D7175">${escapeHtml(formatAxisValue(low, unitSuffix))}</text>`);
+    parts.push(`<text x="${baselineX}" y="${axisY + 16}" text-anchor="middle" font-size="10" fill="#3a2c13">${escapeHtml(formatAxisValue(sensitivity.baseline, unitSuffix))}</text>`);
+    parts.push(`<text x="${plotLeft + plotWidth}" y="${axisY + 16}" text-anchor="end" font-size="10" fill="#6D7175">${escapeHtml(formatAxisValue(high, unitSuffix))}</text>`);
+
+    return `<div class="mt-2">Sensitivity (input at its bounds, others at their means):</div>` +
+        `<svg class="sensitivity-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Sensitivity of the result to each input">${parts.join("")}</svg>`;
+}
+
+function getLocalDateStamp(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+}
+
+function getFxStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        console.warn("Unable to access FX cache", error);
+        return null;
+    }
+}
+
+// Daily Frankfurter rates (cached in localStorage for the local day), then the built-in snapshot
+const fxRateProvider = createRateProviderChain([
+    createCachedRateProvider(createFrankfurterRateProvider({ base: "EUR", symbols: BIG_25_CURRENCIES }), {
+        storage: getFxStorage(),
+        key: FX_CACHE_KEY,
+    }),
+    createStaticRateProvider(FALLBACK_FX_RATES, { name: "fallback" }),
+]);
+
+function buildCurrencyRateOptions(snapshot) {
+    return { currencyRates: toCurrencyRates(snapshot) };
+}
+
+// Rates for the `on <date>` conversions in an expression or worksheet, fetched once per date.
+// A date that fails to load is left out, so the evaluation reports it as missing.
+async function loadHistoricalFxRates(source) {
+    const historicalRates = {};
+    for (const date of getRateDates(source)) {
+        if (!historicalFxLoads.has(date)) {
+            historicalFxLoads.set(date, fxRateProvider.load({ date }).catch((error) => {
+                historicalFxLoads.delete(date);
+                console.warn(`Unable to load FX rates for ${date}`, error);
+                return null;
+            }));
+        }
+        const snapshot = await historicalFxLoads.get(date);
+        if (snapshot) historicalRates[date] = snapshot;
+    }
+    return historicalRates;
+}
+
 function isCurrencyLikeExpression(expression) {
     return /[a-z]/i.test(expression);
 }
@@ -179,15 +580,11 @@ function isCurrencyLikeExpression(expression) {
 function renderRateStatus(rateStatusDisplay, state, options = {}) {
     if (!rateStatusDisplay || !state) return;
     const onRefetch = typeof options.onRefetch === "function" ? options.onRefetch : null;
-    const eurPln = state.rates?.PLN;
-    const pairText = typeof eurPln === "number" ? `EUR/PLN ${eurPln.toFixed(4)}.` : "";
+    const plnRate = state.rates?.PLN;
+    const pairText = typeof plnRate === "number" ? `${state.base}/PLN ${plnRate.toFixed(4)}.` : "";
     const currencyCount = 1 + Object.keys(state.rates || {}).length;
 
-    if (state.source === "live") {
-        rateStatusDisplay.textContent = `Top ${currencyCount} currencies from Frankfurter (${state.rateDate}).`;
-        return;
-    }
-    if (state.source === "cached") {
+    if (state.cached) {
         rateStatusDisplay.textContent = `Top ${currencyCount} currencies cached ${state.rateDate}.`;
         if (onRefetch) {
             const refetchLink = document.createElement("a");
@@ -203,6 +600,10 @@ function renderRateStatus(rateStatusDisplay, state, options = {}) {
         }
         return;
     }
+    if (state.source === "frankfurter") {
+        rateStatusDisplay.textContent = `Top ${currencyCount} currencies from Frankfurter (${state.rateDate}).`;
+        return;
+    }
     rateStatusDisplay.textContent = `${pairText} Live rates unavailable, using fallback snapshot.`;
 }
 
@@ -220,46 +621,8 @@ async function loadDailyFxRateState(options = {}) {
     }
 
     fxLoadPromise = (async () => {
-        const cached = readCachedFxData();
-        if (!forceRefresh && cached && cached.day === today) {
-            fxState = {
-                source: "cached",
-                rates: cached.rates,
-                day: cached.day,
-                rateDate: cached.rateDate || cached.day,
-            };
-            return fxState;
-        }
-
         try {
-            const liveState = await fetchLiveFxRates(today, forceRefresh);
-            const toCache = {
-                rates: liveState.rates,
-                day: today,
-                rateDate: liveState.rateDate,
-                fetchedAt: new Date().toISOString(),
-            };
-            writeCachedFxData(toCache);
-            fxState = liveState;
-            return fxState;
-        } catch (error) {
-            if (cached) {
-                fxState = {
-                    source: "cached",
-                    rates: cached.rates,
-                    day: cached.day,
-                    rateDate: cached.rateDate || cached.day,
-                };
-                return fxState;
-            }
-
-            fxState = {
-                source: "fallback",
-                rates: normalizeBaseRates(FALLBACK_BASE_RATES),
-                day: today,
-                rateDate: today,
-                error: error?.message || "Unknown error",
-            };
+            fxState = { ...(await fxRateProvider.load({ forceRefresh })), day: today };
             return fxState;
         } finally {
             fxLoadPromise = null;
@@ -269,6 +632,64 @@ async function loadDailyFxRateState(options = {}) {
     return fxLoadPromise;
 }
 
+const EXPORT_FEEDBACK_MS = 1500;
+
+// Copy JSON / Download CSV for the current result; returns set/clear for the result panel
+function setupResultExport() {
+    const controls = document.getElementById("result-export");
+    const jsonButton = document.getElementById("export-json");
+    const csvButton = document.getElementById("export-csv");
+    const samplesInput = document.getElementById("export-samples");
+    let current = null;
+
+    function getOptions() {
+        return { expression: current.expression, includeSamples: !!(samplesInput && samplesInput.checked) };
+    }
+
+    function showFeedback(button, text) {
+        const label = button.textContent;
+        button.textContent = text;
+        setTimeout(() => {
+            button.textContent = label;
+        }, EXPORT_FEEDBACK_MS);
+    }
+
+    jsonButton?.addEventListener("click", async () => {
+        if (!current) return;
+        try {
+            await navigator.clipboard.writeText(evaluationToJson(current.evaluation, getOptions()));
+            showFeedback(jsonButton, "Copied");
+        } catch (error) {
+            console.warn("Unable to copy JSON", error);
+            showFeedback(jsonButton, "Copy failed");
+        }
+    });
+
+    csvButton?.addEventListener("click", () => {
+        if (!current) return;
+        const blob = new Blob([evaluationToCsv(current.evaluation, getOptions())], { type: "text/csv" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = "unsure-result.csv";
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    });
+
+    return {
+        set(evaluation, expression) {
+            current = { evaluation, expression };
+            if (controls) controls.classList.remove("hidden");
+        },
+        clear() {
+            current = null;
+            if (controls) controls.classList.add("hidden");
+        },
+    };
+}
+
 function setupBrowserHandlers() {
     const expressionInput = document.getElementById("expression");
     const calculateBtn = document.getElementById("calculateBtn");
@@ -285,6 +706,19 @@ function setupBrowserHandlers() {
     if (expr && expr !== "null") {
         expressionInput.value = expr;
     }
+    const seed = getSeedFromQuery();
+    const getStatSelection = setupStatsPicker(() => calculate());
+    setupFormatPicker(() => {
+        calculate();
+        // The worksheet re-renders through its own input handler
+        document.getElementById("worksheet")?.dispatchEvent(new Event("input"));
+    });
+    setupCalendarPicker(() => {
+        calculate();
+        document.getElementById("worksheet")?.dispatchEvent(new Event("input"));
+    });
+    const histogramChart = setupHistogramChart(resultHistogramDisplay);
+    const resultExport = setupResultExport();
 
     function reset() {
         expressionInput.value = "";
@@ -311,7 +745,8 @@ function setupBrowserHandlers() {
     async function calculate() {
         const expression = expressionInput.value;
         resultSummaryDisplay.innerHTML = "<div>Calculating...</div>";
-        resultHistogramDisplay.innerHTML = "";
+        histogramChart.clear();
+        resultExport.clear();
         resultContainer.style.visibility = "hidden";
         resultContainer.classList.remove("hidden");
         resultContainer.classList.remove("border-red-600");
@@ -320,9 +755,12 @@ function setupBrowserHandlers() {
         if (expression) {
             const params = new URLSearchParams(window.location.search);
             params.delete("expr");
+            params.delete("seed");
             const encodedExpression = encodeURIComponent(expression);
+            const encodedSeed = encodeURIComponent(seed);
             const rest = params.toString();
-            const query = rest ? `?${rest}&expr=${encodedExpression}` : `?expr=${encodedExpression}`;
+            const shared = `expr=${encodedExpression}&seed=${encodedSeed}`;
+            const query = rest ? `?${rest}&${shared}` : `?${shared}`;
             window.history.pushState(null, "", query);
         }
 
@@ -330,16 +768,17 @@ function setupBrowserHandlers() {
             try {
                 if (!expression.trim()) {
                     resultSummaryDisplay.innerHTML = "Enter an expression to calculate.";
-                    resultHistogramDisplay.innerHTML = "";
+                    histogramChart.clear();
                     resultContainer.style.visibility = "visible";
                     return;
                 }
 
-                let evaluationOptions = {};
+                let evaluationOptions = { seed, calendar: workCalendar };
                 if (isCurrencyLikeExpression(expression)) {
                     const state = await loadDailyFxRateState();
                     renderRateStatusWithRefetch(state);
-                    evaluationOptions = buildCurrencyRateOptions(state.rates);
+                    const historicalRates = await loadHistoricalFxRates(expression);
+                    evaluationOptions = { ...buildCurrencyRateOptions(state), historicalRates, seed, calendar: workCalendar };
                 }
 
                 const evaluation = evaluateExpressionWithSteps(expression, undefined, evaluationOptions);
@@ -353,46 +792,71 @@ function setupBrowserHandlers() {
 
                 let summaryHtml = "";
                 let hasError = false;
+                resultExport.set(evaluation, expression);
 
-                if (evaluation.isCurrencyExpression) {
-                    const displayValue = result.display ??
-                        `${formatNumber(result.mean)}${evaluation.currency ? evaluation.currency : ""}`;
-                    const currencySuffix = evaluation.currency ? evaluation.currency : "";
-
-                    if (isNaN(result.mean)) {
+                if (result.probability) {
+                    // Comparisons and P(...) are already reduced over the samples to a single chance
+                    summaryHtml += `<div>Probability: ${escapeHtml(formatProbability(result.mean))}</div>`;
+                    const stepsHtml = renderStepsHtml(evaluation.steps, evaluation.stepDetails);
+                    if (stepsHtml) {
+                        summaryHtml += `<div class="mt-2">Steps:</div>`;
+                        summaryHtml += `<div class="mt-1 text-sm">${stepsHtml}</div>`;
+                    }
+                    histogramChart.clear();
+                } else if (evaluation.isCurrencyExpression || result.percent) {
+                    // Percentages hold fractions; their ranges, statistics and histogram are shown in percent
+                    const unitSuffix = result.percent ? "%" : evaluation.unit ? evaluation.unit : "";
+                    const samples = result.percent && result.samples ? result.samples.map((value) => value * 100) : result.samples;
+                    const displayValue = formatResultValue(result, unitSuffix);
+
+                    // A money bag without a rate path to its first currency has parts but no total
+                    if (isNaN(result.mean) && !result.components) {
                         summaryHtml += `<div><span class="text-red-600">Currency Result Contains NaN</span></div>`;
                         hasError = true;
                     } else {
                         summaryHtml += `<div>Final Result: ${escapeHtml(displayValue)}</div>`;
+                        if (result.components && !isNaN(result.mean)) {
+                            summaryHtml += `<div>Total: ${escapeHtml(formatFigure(result.mean, unitSuffix))}</div>`;
+                        }
+                        if (result.dates) {
+                            summaryHtml += `<div>Done by: ${escapeHtml(result.dates.p50)} (P50), ${escapeHtml(result.dates.p90)} (P90)</div>`;
+                        }
                     }
 
-                    const stepsHtml = renderStepsHtml(evaluation.steps);
+                    const stepsHtml = renderStepsHtml(evaluation.steps, evaluation.stepDetails);
                     if (stepsHtml) {
                         summaryHtml += `<div class="mt-2">Steps:</div>`;
                         summaryHtml += `<div class="mt-1 text-sm">${stepsHtml}</div>`;
                     }
 
-                    if (result.samples) {
-                        const quantiles = getQuantiles(result.samples);
+                    if (samples) {
+                        const quantiles = getQuantiles(samples);
                         if (isNaN(quantiles.p05) || isNaN(quantiles.p95)) {
                             summaryHtml += `<div><span class="text-red-600">Simulated Result Contains NaN/Infinity</span></div>`;
                             hasError = true;
                         } else {
-                            summaryHtml += `<div>Simulated Range (5%-95%): ${formatNumber(quantiles.p05)}${currencySuffix} ~ ${formatNumber(quantiles.p95)}${currencySuffix}</div>`;
+                            summaryHtml += `<div>Simulated Range (5%-95%): ${escapeHtml(numberFormatter.formatRange(quantiles.p05, quantiles.p95, unitSuffix))}</div>`;
                         }
+                        const sensitivity = getSensitivity(result);
+                        summaryHtml += renderStatisticsHtml(samples, unitSuffix, getStatSelection());
+                        summaryHtml += renderSensitivityHtml(result.percent ? scalePercentSensitivity(sensitivity) : sensitivity, unitSuffix);
 
-                        const histogramLines = generateTextHistogram(result.samples);
-                        resultHistogramDisplay.innerHTML = histogramLines.join("<br>");
+                        histogramChart.render(samples, unitSuffix);
                     } else {
-                        resultHistogramDisplay.innerHTML = "";
+                        histogramChart.clear();
                     }
                 } else {
                     if (isNaN(result.mean) || isNaN(result.min) || isNaN(result.max)) {
                         summaryHtml += `<div><span class="text-red-600">Exact Result Contains NaN</span></div>`;
                         hasError = true;
                     } else {
-                        summaryHtml += `<div>Exact Average: ${formatNumber(result.mean)}</div>`;
-                        summaryHtml += `<div>Exact Range : ${formatNumber(result.min)} - ${formatNumber(result.max)}</div>`;
+                        summaryHtml += `<div>Exact Average: ${escapeHtml(formatFigure(result.mean))}</div>`;
+                        summaryHtml += `<div>Exact Range : ${escapeHtml(formatFigure(result.min))} - ${escapeHtml(formatFigure(result.max))}</div>`;
+                    }
+
+                    if (evaluation.steps.length > 1) {
+                        summaryHtml += `<div class="mt-2">Steps:</div>`;
+                        summaryHtml += `<div class="mt-1 text-sm">${renderStepsHtml(evaluation.steps, evaluation.stepDetails)}</div>`;
                     }
 
                     if (result.samples) {
@@ -401,12 +865,13 @@ function setupBrowserHandlers() {
                             summaryHtml += `<div><span class="text-red-600">Simulated Result Contains NaN/Infinity</span></div>`;
                             hasError = true;
                         } else {
-                            summaryHtml += `<div>Simulated Range (5%-95%): ${formatNumber(quantiles.p05)} ~ ${formatNumber(quantiles.p95)}</div>`;
+                            summaryHtml += `<div>Simulated Range (5%-95%): ${escapeHtml(numberFormatter.formatRange(quantiles.p05, quantiles.p95))}</div>`;
                         }
-                        const histogramLines = generateTextHistogram(result.samples);
-                        resultHistogramDisplay.innerHTML = histogramLines.join("<br>");
+                        summaryHtml += renderStatisticsHtml(result.samples, "", getStatSelection());
+                        summaryHtml += renderSensitivityHtml(getSensitivity(result), "");
+                        histogramChart.render(result.samples, "");
                     } else {
-                        resultHistogramDisplay.innerHTML = "";
+                        histogramChart.clear();
                         summaryHtml += `<div class="mt-2">Result is an exact number, no distribution to simulate</div>`;
                     }
                 }
@@ -419,7 +884,8 @@ function setupBrowserHandlers() {
                 console.error("Calculation Error:", error);
                 resultSummaryDisplay.innerHTML = `<div><span class="text-red-600">Error: ${error.message}</span></div>`;
                 resultContainer.classList.add("border-red-600");
-                resultHistogramDisplay.innerHTML = "";
+                histogramChart.clear();
+                resultExport.clear();
             }
             resultContainer.style.visibility = "visible";
         }, 10);
@@ -438,8 +904,8 @@ function setupBrowserHandlers() {
     loadDailyFxRateState()
         .then((state) => renderRateStatusWithRefetch(state))
         .catch(() => renderRateStatusWithRefetch({
+            ...FALLBACK_FX_RATES,
             source: "fallback",
-            rates: normalizeBaseRates(FALLBACK_BASE_RATES),
             rateDate: getLocalDateStamp(),
         }));
 
@@ -456,8 +922,86 @@ function setupBrowserHandlers() {
     };
 }
 
+function formatWorksheetLineResult(entry) {
+    const evaluation = entry.evaluation;
+    const result = evaluation.result;
+    const suffix = result.percent ? "%" : evaluation.unit || "";
+    if (result.probability) return formatProbability(result.mean);
+    const value = formatResultValue(result, suffix);
+    if (!result.samples) return value;
+
+    const quantiles = getQuantiles(result.percent ? result.samples.map((sample) => sample * 100) : result.samples);
+    if (isNaN(quantiles.p05) || isNaN(quantiles.p95)) return `${value} (NaN/Infinity in samples)`;
+    return `${value} (${numberFormatter.formatRange(quantiles.p05, quantiles.p95, suffix)})`;
+}
+
+function renderWorksheetHtml(worksheet) {
+    // A line with several `;` statements shows its first error, otherwise its last result.
+    const entryPerLine = new Map();
+    for (const entry of worksheet.lines) {
+        const current = entryPerLine.get(entry.lineNumber);
+        if (!current || !current.error) entryPerLine.set(entry.lineNumber, entry);
+    }
+
+    return [...entryPerLine.values()]
+        .map((entry) => {
+            if (entry.error) {
+                return `<div class="worksheet-line text-red-600" title="${escapeHtml(entry.error)}">${escapeHtml(entry.error)}</div>`;
+            }
+            if (!entry.evaluation) return `<div class="worksheet-line">&nbsp;</div>`;
+            const text = formatWorksheetLineResult(entry);
+            const prefix = entry.name ? `${entry.name} = ` : "= ";
+            return `<div class="worksheet-line" title="${escapeHtml(text)}">${escapeHtml(prefix + text)}</div>`;
+        })
+        .join("");
+}
+
+function setupWorksheetHandlers() {
+    const worksheetInput = document.getElementById("worksheet");
+    const worksheetResults = document.getElementById("worksheet-results");
+    if (!worksheetInput || !worksheetResults) return;
+
+    try {
+        const saved = window.localStorage.getItem(WORKSHEET_STORAGE_KEY);
+        if (saved) worksheetInput.value = saved;
+    } catch (error) {
+        console.warn("Unable to read saved worksheet", error);
+    }
+
+    let debounceTimer = null;
+
+    async function evaluateWorksheetInput() {
+        const source = worksheetInput.value;
+        try {
+            window.localStorage.setItem(WORKSHEET_STORAGE_KEY, source);
+        } catch (error) {
+            console.warn("Unable to save worksheet", error);
+        }
+
+        let evaluationOptions = { calendar: workCalendar };
+        if (isCurrencyLikeExpression(source)) {
+            const state = await loadDailyFxRateState();
+            const historicalRates = await loadHistoricalFxRates(source);
+            evaluationOptions = { ...buildCurrencyRateOptions(state), historicalRates, calendar: workCalendar };
+        }
+        worksheetResults.innerHTML = renderWorksheetHtml(evaluateWorksheet(source, undefined, evaluationOptions));
+        worksheetResults.scrollTop = worksheetInput.scrollTop;
+    }
+
+    worksheetInput.addEventListener("input", () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(evaluateWorksheetInput, WORKSHEET_DEBOUNCE_MS);
+    });
+    worksheetInput.addEventListener("scroll", () => {
+        worksheetResults.scrollTop = worksheetInput.scrollTop;
+    });
+
+    if (worksheetInput.value) evaluateWorksheetInput();
+}
+
 // Run in browser
 document.addEventListener("DOMContentLoaded", () => {
   setupBrowserHandlers();
+  setupWorksheetHandlers();
 });
 })();